@@ -1,42 +1,37 @@
 import express from "express"
 import cors from "cors"
-import multer from "multer"
-import placementRoutes from "./routes/placement.js"
-import searchRoutes from "./routes/search.js"
-import wasteRoutes from "./routes/waste.js"
-import simulateRoutes from "./routes/simulate.js"
-import importExportRoutes from "./routes/importExport.js"
-import logsRoutes from "./routes/logs.js"
+import registry, { listRoutes } from "./routes/index.js"
+import { handleBodyErrors } from "./middleware/validate.js"
 
 // Initialize Express app
 const app = express()
-const port = 8000
+
+// Largest JSON body accepted, big enough for manifests of thousands of items
+const bodyLimit = process.env.JSON_BODY_LIMIT || "50mb"
 
 // Middleware
 app.use(cors())
-app.use(express.json())
-
-// Set up multer for file uploads
-const upload = multer({ dest: "uploads/" })
+app.use(express.json({ limit: bodyLimit }))
 
 // Routes
-app.use("/api/placement", placementRoutes)
-app.use("/api/search", searchRoutes)
-app.use("/api/waste", wasteRoutes)
-app.use("/api/simulate", simulateRoutes)
-app.use("/api/import", importExportRoutes)
-app.use("/api/export", importExportRoutes)
-app.use("/api/logs", logsRoutes)
+for (const { path, router } of registry) {
+  app.use(path, router)
+}
+
+// Route listing
+app.get("/api/routes", (req, res) => {
+  res.json({
+    success: true,
+    routes: [...listRoutes(), { method: "GET", path: "/api/routes" }, { method: "GET", path: "/health" }],
+  })
+})
 
 // Health check route
 app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" })
 })
 
-// Start server
-app.listen(port, "0.0.0.0", () => {
-  console.log(`Server running on port ${port}`)
-})
+// Malformed or oversized JSON bodies
+app.use(handleBodyErrors)
 
 export default app
-
@@ -0,0 +1,87 @@
+import app from "../app.js"
+import db from "../services/database.js"
+
+/**
+ * Placement benchmark
+ * Sends one POST /api/placement request per strategy with a generated manifest
+ * and reports how long each takes and how many items were placed.
+ *
+ * Usage: node bench/placement.bench.js [itemCount] [containerCount]
+ */
+const itemCount = Number.parseInt(process.argv[2]) || 3000
+const containerCount = Number.parseInt(process.argv[3]) || 300
+const zones = ["Crew Quarters", "Airlock", "Laboratory", "Medical Bay", "Storage Bay", "Command Center"]
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296
+  return seed / 4294967296
+}
+
+function between(min, max) {
+  // Keep one decimal place to exercise fractional dimensions
+  return Math.round((min + random() * (max - min)) * 10) / 10
+}
+
+function generateManifest() {
+  const containers = []
+  for (let i = 0; i < containerCount; i++) {
+    containers.push({
+      containerId: `cont${i}`,
+      zone: zones[i % zones.length],
+      width: between(80, 120),
+      depth: between(60, 100),
+      height: between(150, 220),
+    })
+  }
+
+  const items = []
+  for (let i = 0; i < itemCount; i++) {
+    items.push({
+      itemId: `item${i}`,
+      name: `Item ${i}`,
+      width: between(5, 40),
+      depth: between(5, 40),
+      height: between(5, 50),
+      mass: between(0.5, 20),
+      priority: Math.floor(random() * 100) + 1,
+      expiryDate: null,
+      usageLimit: 10,
+      preferredZone: zones[Math.floor(random() * zones.length)],
+    })
+  }
+
+  return { items, containers }
+}
+
+async function run() {
+  const server = app.listen(0)
+  const { port } = server.address()
+  const manifest = generateManifest()
+
+  console.log(`Placing ${itemCount} items across ${containerCount} containers`)
+
+  try {
+    for (const strategy of ["accessibility", "first-fit", "best-fit", "min-retrieval-depth", "deep-stowage"]) {
+      db.clear()
+
+      const start = process.hrtime.bigint()
+      const response = await fetch(`http://127.0.0.1:${port}/api/placement`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...manifest, strategy }),
+      })
+      const result = await response.json()
+      const elapsed = Number(process.hrtime.bigint() - start) / 1e6
+
+      console.log(
+        `${strategy.padEnd(20)} ${elapsed.toFixed(0).padStart(6)} ms  ${result.placements.length} placed, ${result.rearrangements.length} rearrangement steps`,
+      )
+    }
+  } finally {
+    server.close()
+  }
+}
+
+run()
@@ -0,0 +1,202 @@
+import placementService from "../services/placement-service.js"
+import retrievalService from "../services/retrieval-service.js"
+import stowageRules from "../services/stowage-rules-service.js"
+import wasteService from "../services/waste-service.js"
+import Undocking from "../models/undocking.js"
+
+/**
+ * Request body schemas, in the rule format of validate.js
+ */
+
+const id = { type: "string", required: true }
+const dimension = { type: "number", required: true, positive: true }
+const coordinates = {
+  type: "object",
+  properties: {
+    width: { type: "number", required: true },
+    depth: { type: "number", required: true },
+    height: { type: "number", required: true },
+  },
+}
+
+const item = {
+  type: "object",
+  properties: {
+    itemId: id,
+    name: { type: "string", required: true },
+    width: dimension,
+    depth: dimension,
+    height: dimension,
+    mass: { type: "number", min: 0 },
+    priority: { type: "number", min: 0, max: 100 },
+    expiryDate: { type: "date" },
+    usageLimit: { type: "number", integer: true, min: 0 },
+    quantity: { type: "number", positive: true },
+    unit: { type: "string" },
+    preferredZone: { type: "string" },
+    thisSideUp: { type: "boolean" },
+    hazardClass: {
+      type: "string",
+      check: (value) => (stowageRules.isKnownHazardClass(value) ? null : "is not a known hazard class"),
+    },
+  },
+}
+
+const container = {
+  type: "object",
+  properties: {
+    containerId: id,
+    zone: { type: "string", required: true },
+    width: dimension,
+    depth: dimension,
+    height: dimension,
+    maxLoad: { type: "number", min: 0 },
+    maxStackLoad: { type: "number", min: 0 },
+    stationCoordinates: coordinates,
+  },
+}
+
+export const placementSchema = {
+  type: "object",
+  properties: {
+    items: { type: "array", required: true, items: { ...item, required: true } },
+    containers: { type: "array", required: true, items: { ...container, required: true } },
+    strategy: { type: "string", oneOf: () => placementService.getStrategies() },
+    dryRun: { type: "boolean" },
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+    zoneMassBounds: {
+      type: "object",
+      values: {
+        type: "object",
+        properties: {
+          min: { type: "number", min: 0 },
+          max: { type: "number", min: 0 },
+        },
+        check: (bounds) =>
+          typeof bounds.min === "number" && typeof bounds.max === "number" && bounds.min > bounds.max
+            ? "min must not exceed max"
+            : null,
+      },
+    },
+  },
+}
+
+export const placeSchema = {
+  type: "object",
+  properties: {
+    itemId: id,
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+    containerId: id,
+    position: { type: "position", required: true },
+  },
+}
+
+export const retrieveSchema = {
+  type: "object",
+  properties: {
+    itemId: { type: "string" },
+    itemName: { type: "string" },
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+    mode: { type: "string", oneOf: () => retrievalService.getModes() },
+    amount: { type: "number", positive: true },
+  },
+  requireOneOf: ["itemId", "itemName"],
+}
+
+const usageProfile = {
+  type: "array",
+  items: {
+    type: "object",
+    required: true,
+    properties: {
+      itemId: { type: "string" },
+      name: { type: "string" },
+      amount: { type: "number", positive: true },
+    },
+    requireOneOf: ["itemId", "name"],
+  },
+}
+
+export const simulateDaySchema = {
+  type: "object",
+  properties: {
+    numOfDays: { type: "number", integer: true, positive: true },
+    toTimestamp: { type: "date" },
+    itemsToBeUsedPerDay: usageProfile,
+  },
+  requireOneOf: ["numOfDays", "toTimestamp"],
+}
+
+export const returnPlanSchema = {
+  type: "object",
+  properties: {
+    undockingContainerId: id,
+    undockingDate: { type: "date", required: true },
+    maxWeight: { type: "number", required: true, min: 0 },
+    objective: { type: "string", oneOf: () => wasteService.getObjectives() },
+  },
+}
+
+export const wasteForecastSchema = {
+  type: "object",
+  properties: {
+    horizonDays: { type: "number", required: true, integer: true, positive: true, max: 3650 },
+    itemsToBeUsedPerDay: usageProfile,
+  },
+}
+
+export const executeReturnPlanSchema = {
+  type: "object",
+  properties: {
+    undockingContainerId: id,
+    returnPlan: {
+      type: "array",
+      items: {
+        type: "object",
+        required: true,
+        properties: {
+          itemId: id,
+          toContainer: { type: "string" },
+          toPosition: { type: "position", required: true },
+        },
+      },
+    },
+    maxSteps: { type: "number", integer: true, positive: true },
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+  },
+}
+
+export const completeUndockingSchema = {
+  type: "object",
+  properties: {
+    undockingContainerId: id,
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+  },
+}
+
+export const scheduleUndockingSchema = {
+  type: "object",
+  properties: {
+    undockingContainerId: id,
+    undockingDate: { type: "date", required: true },
+    maxWeight: { type: "number", min: 0 },
+    objective: { type: "string", oneOf: () => wasteService.getObjectives() },
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+  },
+}
+
+export const sealUndockingSchema = {
+  type: "object",
+  properties: {
+    userId: { type: "string" },
+    timestamp: { type: "date" },
+  },
+}
+
+export const undockingStatus = { type: "string", oneOf: () => Undocking.getStatuses() }
@@ -0,0 +1,213 @@
+/**
+ * Declarative request validation
+ * A rule describes one value:
+ * - type: "string", "number", "boolean", "date", "array", "object" or "position"
+ * - required: the value must be present (null counts as absent)
+ * - integer, positive, min, max: bounds for numbers
+ * - oneOf: the allowed values
+ * - items: the rule for every element of an array
+ * - properties: the rules for the fields of an object
+ * - values: the rule for every value of an object whose keys are free, such as zone names
+ * - requireOneOf: field names of an object of which at least one must be present
+ * - check: a function returning an error message, or null when the value is fine
+ */
+
+const AXES = ["width", "depth", "height"]
+
+/**
+ * Validate a value against a rule
+ * @param {*} value - The value to validate
+ * @param {Object} rule - The rule
+ * @param {string} field - The path of the value, used in error messages
+ * @returns {Array} - Array of { field, message }, empty when the value is valid
+ */
+export function validate(value, rule, field = "") {
+  if (value === undefined || value === null) {
+    return rule.required ? [{ field, message: "is required" }] : []
+  }
+
+  const typeError = checkType(value, rule)
+  if (typeError) {
+    return [{ field, message: typeError }]
+  }
+
+  const errors = []
+
+  if (rule.type === "number") {
+    if (rule.integer && !Number.isInteger(value)) {
+      errors.push({ field, message: "must be an integer" })
+    }
+    if (rule.positive && value <= 0) {
+      errors.push({ field, message: "must be greater than 0" })
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be at least ${rule.min}` })
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `must be at most ${rule.max}` })
+    }
+  }
+
+  if (rule.oneOf) {
+    const allowed = typeof rule.oneOf === "function" ? rule.oneOf() : rule.oneOf
+    if (!allowed.includes(value)) {
+      errors.push({ field, message: `must be one of ${allowed.join(", ")}` })
+    }
+  }
+
+  if (rule.type === "array" && rule.items) {
+    value.forEach((element, index) => {
+      errors.push(...validate(element, rule.items, `${field}[${index}]`))
+    })
+  }
+
+  if (rule.type === "object") {
+    for (const [name, propertyRule] of Object.entries(rule.properties || {})) {
+      errors.push(...validate(value[name], propertyRule, joinField(field, name)))
+    }
+
+    if (rule.values) {
+      for (const [name, element] of Object.entries(value)) {
+        errors.push(...validate(element, { ...rule.values, required: true }, joinField(field, name)))
+      }
+    }
+
+    if (rule.requireOneOf && rule.requireOneOf.every((name) => value[name] === undefined || value[name] === null)) {
+      errors.push({
+        field: joinField(field, rule.requireOneOf[0]),
+        message: `one of ${rule.requireOneOf.join(", ")} is required`,
+      })
+    }
+  }
+
+  if (rule.type === "position") {
+    errors.push(...validatePosition(value, field))
+  }
+
+  if (errors.length === 0 && rule.check) {
+    const message = rule.check(value)
+    if (message) {
+      errors.push({ field, message })
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Check that a value has the type a rule asks for
+ * @param {*} value - The value to check
+ * @param {Object} rule - The rule
+ * @returns {string|null} - The error message, or null if the type matches
+ */
+function checkType(value, rule) {
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string" && value.trim() !== "" ? null : "must be a non-empty string"
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? null : "must be a number"
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be a boolean"
+    case "date":
+      return (typeof value === "string" || typeof value === "number") && !Number.isNaN(new Date(value).getTime())
+        ? null
+        : "must be a valid date"
+    case "array":
+      return Array.isArray(value) ? null : "must be an array"
+    case "object":
+    case "position":
+      return typeof value === "object" && !Array.isArray(value) ? null : "must be an object"
+    default:
+      return null
+  }
+}
+
+/**
+ * Validate a position: start and end coordinates with a non-negative number on every axis,
+ * the end beyond the start
+ * @param {Object} position - The position
+ * @param {string} field - The path of the position
+ * @returns {Array} - Array of { field, message }
+ */
+function validatePosition(position, field) {
+  const coordinateRule = {
+    type: "object",
+    required: true,
+    properties: Object.fromEntries(AXES.map((axis) => [axis, { type: "number", required: true, min: 0 }])),
+  }
+
+  const errors = [
+    ...validate(position.startCoordinates, coordinateRule, joinField(field, "startCoordinates")),
+    ...validate(position.endCoordinates, coordinateRule, joinField(field, "endCoordinates")),
+  ]
+  if (errors.length > 0) {
+    return errors
+  }
+
+  for (const axis of AXES) {
+    if (position.endCoordinates[axis] <= position.startCoordinates[axis]) {
+      errors.push({
+        field: joinField(field, `endCoordinates.${axis}`),
+        message: `must be greater than startCoordinates.${axis}`,
+      })
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Join a field path and a property name
+ * @param {string} field - The parent path
+ * @param {string} name - The property name
+ * @returns {string} - The joined path
+ */
+function joinField(field, name) {
+  return field ? `${field}.${name}` : name
+}
+
+/**
+ * Send a 400 response listing every failing field, the format shared by all routes
+ * @param {Object} res - The Express response
+ * @param {Array} errors - Array of { field, message }
+ */
+export function sendValidationErrors(res, errors) {
+  res.status(400).json({
+    success: false,
+    message: `Invalid request: ${errors.map((error) => `${error.field} ${error.message}`).join("; ")}`,
+    errors,
+  })
+}
+
+/**
+ * Error middleware answering bodies the JSON parser rejects like any other invalid request
+ * Malformed JSON and bodies over the size limit get a 400 listing the body as the invalid field
+ * @param {Error} error - The error raised before the route ran
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next error middleware
+ */
+export function handleBodyErrors(error, req, res, next) {
+  if (error.type === "entity.parse.failed") {
+    return sendValidationErrors(res, [{ field: "body", message: "must be valid JSON" }])
+  }
+  if (error.type === "entity.too.large") {
+    return sendValidationErrors(res, [{ field: "body", message: `must be at most ${error.limit} bytes` }])
+  }
+  next(error)
+}
+
+/**
+ * Create a middleware that validates the request body against a rule
+ * @param {Object} rule - The rule for the whole body, usually an object rule
+ * @returns {Function} - The Express middleware
+ */
+export default function validateBody(rule) {
+  return (req, res, next) => {
+    const errors = validate(req.body === undefined ? {} : req.body, { ...rule, required: true })
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+    next()
+  }
+}
@@ -0,0 +1,427 @@
+import Item from "./item.js"
+import { ContainerValidationError } from "./errors.js"
+
+/**
+ * Container model representing storage containers on the space station
+ */
+class Container {
+  constructor({
+    containerId,
+    zone,
+    width,
+    depth,
+    height,
+    items = [],
+    maxLoad = null,
+    maxStackLoad = null,
+    stationCoordinates = null,
+  }) {
+    this.containerId = containerId
+    this.zone = zone
+    this.width = width
+    this.depth = depth
+    this.height = height
+    this.items = items // Array of items with their positions
+    this.maxLoad = maxLoad // Maximum total mass in kg, or null for no limit
+    this.maxStackLoad = maxStackLoad // Maximum mass in kg resting on any one item, or null for no limit
+    this.stationCoordinates = stationCoordinates // Where the container's origin corner sits in the station, if known
+
+    this.validate()
+  }
+
+  /**
+   * Enforce the container's invariants
+   * @throws {ContainerValidationError} - If any invariant is broken
+   */
+  validate() {
+    const fail = (field, message) => {
+      throw new ContainerValidationError(`Container ${this.containerId}: ${field} ${message}`, field)
+    }
+
+    if (this.containerId === undefined || this.containerId === null || String(this.containerId).trim() === "") {
+      fail("containerId", "is required")
+    }
+    if (this.zone === undefined || this.zone === null || String(this.zone).trim() === "") {
+      fail("zone", "is required")
+    }
+    for (const dimension of ["width", "depth", "height"]) {
+      if (typeof this[dimension] !== "number" || !Number.isFinite(this[dimension]) || this[dimension] <= 0) {
+        fail(dimension, "must be a number greater than 0")
+      }
+    }
+    for (const limit of ["maxLoad", "maxStackLoad"]) {
+      if (this[limit] !== null && this[limit] !== undefined && !(Number.isFinite(this[limit]) && this[limit] >= 0)) {
+        fail(limit, "must be a number of at least 0")
+      }
+    }
+    if (!Array.isArray(this.items)) {
+      fail("items", "must be an array")
+    }
+
+    // Every stowed item must lie inside the container
+    for (const item of this.items) {
+      const position = item.position
+      const isInside =
+        position &&
+        position.startCoordinates &&
+        position.endCoordinates &&
+        ["width", "depth", "height"].every(
+          (axis) => position.startCoordinates[axis] >= -1e-6 && position.endCoordinates[axis] <= this[axis] + 1e-6,
+        )
+      if (!isInside) {
+        fail("items", `item ${item.itemId} lies outside the container`)
+      }
+    }
+  }
+
+  /**
+   * Get the total volume of the container
+   * @returns {number} - The volume in cubic cm
+   */
+  getTotalVolume() {
+    return this.width * this.depth * this.height
+  }
+
+  /**
+   * Get the occupied volume in the container
+   * @returns {number} - The occupied volume in cubic cm
+   */
+  getOccupiedVolume() {
+    return this.items.reduce((total, item) => {
+      return total + item.width * item.depth * item.height
+    }, 0)
+  }
+
+  /**
+   * Get the available volume in the container
+   * @returns {number} - The available volume in cubic cm
+   */
+  getAvailableVolume() {
+    return this.getTotalVolume() - this.getOccupiedVolume()
+  }
+
+  /**
+   * Get the total mass of the items in the container
+   * @returns {number} - The current load in kg
+   */
+  getCurrentLoad() {
+    return this.items.reduce((total, item) => {
+      return total + (item.mass || 0)
+    }, 0)
+  }
+
+  /**
+   * Get the mass that can still be added to the container
+   * @returns {number} - The available load in kg, Infinity if there is no limit
+   */
+  getAvailableLoad() {
+    if (this.maxLoad === null || this.maxLoad === undefined) return Infinity
+    return this.maxLoad - this.getCurrentLoad()
+  }
+
+  /**
+   * Get the mass resting on a position: every item above it whose footprint overlaps it
+   * @param {Object} position - The position to check
+   * @returns {number} - The stacked mass in kg
+   */
+  getStackLoad(position) {
+    return this.items.reduce((total, item) => {
+      const isAbove =
+        item.position.startCoordinates.height >= position.endCoordinates.height &&
+        this.footprintsOverlap(item.position, position)
+      return isAbove ? total + (item.mass || 0) : total
+    }, 0)
+  }
+
+  /**
+   * Explain why placing an item at a position would exceed the container's load limits
+   * @param {Object} item - The item to check
+   * @param {Object} position - The position to check
+   * @returns {string|null} - The reason, or null if the load limits are respected
+   */
+  getLoadViolation(item, position) {
+    const mass = item.mass || 0
+
+    if (mass > this.getAvailableLoad()) {
+      return `Container ${this.containerId} would exceed its maximum load of ${this.maxLoad} kg`
+    }
+
+    if (this.maxStackLoad === null || this.maxStackLoad === undefined) {
+      return null
+    }
+
+    // The item itself must not carry too much
+    if (this.getStackLoad(position) > this.maxStackLoad) {
+      return `Item ${item.itemId} would carry more than the maximum stack load of ${this.maxStackLoad} kg`
+    }
+
+    // Nor may any item underneath it
+    for (const below of this.items) {
+      const isBelow =
+        below.position.endCoordinates.height <= position.startCoordinates.height &&
+        this.footprintsOverlap(below.position, position)
+      if (isBelow && this.getStackLoad(below.position) + mass > this.maxStackLoad) {
+        return `Item ${below.itemId} would carry more than the maximum stack load of ${this.maxStackLoad} kg`
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Get the fraction of a position's base area that rests on the container floor
+   * or on the tops of other items
+   * @param {Object} position - The position to check
+   * @returns {number} - The supported fraction, from 0 to 1
+   */
+  getSupportedFraction(position) {
+    const { startCoordinates: start, endCoordinates: end } = position
+    const baseArea = (end.width - start.width) * (end.depth - start.depth)
+
+    // Resting on the floor
+    if (start.height < 1e-6 || baseArea <= 0) {
+      return 1
+    }
+
+    // Items never overlap, so the areas of the tops touching the base can simply be added up
+    let supportedArea = 0
+    for (const item of this.items) {
+      const { startCoordinates: itemStart, endCoordinates: itemEnd } = item.position
+      if (Math.abs(itemEnd.height - start.height) > 1e-6) continue
+
+      const overlapWidth = Math.min(end.width, itemEnd.width) - Math.max(start.width, itemStart.width)
+      const overlapDepth = Math.min(end.depth, itemEnd.depth) - Math.max(start.depth, itemStart.depth)
+      if (overlapWidth > 0 && overlapDepth > 0) {
+        supportedArea += overlapWidth * overlapDepth
+      }
+    }
+
+    return Math.min(supportedArea / baseArea, 1)
+  }
+
+  /**
+   * Check if an item can fit in the container at a specific position
+   * @param {Object} item - The item to check
+   * @param {Object} position - The position to check
+   * @returns {boolean} - Whether the item can fit
+   */
+  canFitItem(item, position) {
+    // Check if the position's extents match one of the item's allowed orientations
+    if (item.width !== undefined && !Item.getOrientationForPosition(item, position)) {
+      return false
+    }
+
+    if (!this.isSpaceFree(position)) {
+      return false
+    }
+
+    // Check if the container can bear the item's mass there
+    return this.getLoadViolation(item, position) === null
+  }
+
+  /**
+   * Check if a position lies inside the container and is not occupied
+   * @param {Object} position - The position to check
+   * @returns {boolean} - Whether the space is free
+   */
+  isSpaceFree(position) {
+    // Check if the position fits within the container dimensions
+    if (
+      position.startCoordinates.width < 0 ||
+      position.startCoordinates.depth < 0 ||
+      position.startCoordinates.height < 0 ||
+      position.endCoordinates.width > this.width ||
+      position.endCoordinates.depth > this.depth ||
+      position.endCoordinates.height > this.height
+    ) {
+      return false
+    }
+
+    // Check if the position overlaps with any existing items
+    for (const existingItem of this.items) {
+      if (this.itemsOverlap(existingItem.position, position)) {
+        return false
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * Check if two positions overlap
+   * @param {Object} pos1 - The first position
+   * @param {Object} pos2 - The second position
+   * @returns {boolean} - Whether the positions overlap
+   */
+  itemsOverlap(pos1, pos2) {
+    return !(
+      pos1.endCoordinates.width <= pos2.startCoordinates.width ||
+      pos1.startCoordinates.width >= pos2.endCoordinates.width ||
+      pos1.endCoordinates.depth <= pos2.startCoordinates.depth ||
+      pos1.startCoordinates.depth >= pos2.endCoordinates.depth ||
+      pos1.endCoordinates.height <= pos2.startCoordinates.height ||
+      pos1.startCoordinates.height >= pos2.endCoordinates.height
+    )
+  }
+
+  /**
+   * Check if two positions overlap when seen from above
+   * @param {Object} pos1 - The first position
+   * @param {Object} pos2 - The second position
+   * @returns {boolean} - Whether the footprints overlap
+   */
+  footprintsOverlap(pos1, pos2) {
+    return !(
+      pos1.endCoordinates.width <= pos2.startCoordinates.width ||
+      pos1.startCoordinates.width >= pos2.endCoordinates.width ||
+      pos1.endCoordinates.depth <= pos2.startCoordinates.depth ||
+      pos1.startCoordinates.depth >= pos2.endCoordinates.depth
+    )
+  }
+
+  /**
+   * Add an item to the container
+   * @param {Object} item - The item to add
+   * @param {Object} position - The position to place the item
+   * @returns {boolean} - Whether the item was added successfully
+   */
+  addItem(item, position) {
+    if (this.canFitItem(item, position)) {
+      this.items.push({
+        ...item,
+        position,
+      })
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Remove an item from the container
+   * @param {string} itemId - The ID of the item to remove
+   * @returns {Object|null} - The removed item or null if not found
+   */
+  removeItem(itemId) {
+    const index = this.items.findIndex((item) => item.itemId === itemId)
+    if (index !== -1) {
+      const removedItem = this.items[index]
+      this.items.splice(index, 1)
+      return removedItem
+    }
+    return null
+  }
+
+  /**
+   * Find an item in the container
+   * @param {string} itemId - The ID of the item to find
+   * @returns {Object|null} - The item or null if not found
+   */
+  findItem(itemId) {
+    return this.items.find((item) => item.itemId === itemId) || null
+  }
+
+  /**
+   * Get the items directly in the way of taking an item out through the open face (depth 0)
+   * An item is in the way if any part of it lies in the corridor the item slides through,
+   * or if it rests on top of the item and would be dragged along
+   * @param {Object} target - The item to take out
+   * @returns {Array} - The blockers, each with the item and the reason ("inPath" or "onTop")
+   */
+  getBlockers(target) {
+    const { startCoordinates: start, endCoordinates: end } = target.position
+    const blockers = []
+
+    for (const item of this.items) {
+      if (item.itemId === target.itemId) continue
+      const { startCoordinates: itemStart, endCoordinates: itemEnd } = item.position
+
+      const overlapsCorridor =
+        itemStart.depth < start.depth &&
+        itemEnd.width > start.width &&
+        itemStart.width < end.width &&
+        itemEnd.height > start.height &&
+        itemStart.height < end.height
+      if (overlapsCorridor) {
+        blockers.push({ item, reason: "inPath" })
+        continue
+      }
+
+      if (Math.abs(itemStart.height - end.height) <= 1e-6 && this.footprintsOverlap(item.position, target.position)) {
+        blockers.push({ item, reason: "onTop" })
+      }
+    }
+
+    // Clear from the top and the front first
+    return blockers.sort(
+      (a, b) =>
+        b.item.position.startCoordinates.height - a.item.position.startCoordinates.height ||
+        a.item.position.startCoordinates.depth - b.item.position.startCoordinates.depth,
+    )
+  }
+
+  /**
+   * Plan the removals needed to take an item out, including the blockers of blockers
+   * Every blocker is removed only after whatever blocks it, so each removal is possible
+   * when its turn comes, and only items that are really in the way are moved
+   * @param {string} itemId - The ID of the item to retrieve
+   * @returns {Array} - The removals in order, each with the item, the reason and the ID of the item it blocks
+   */
+  getRemovalPlan(itemId) {
+    const targetItem = this.findItem(itemId)
+    if (!targetItem) return []
+
+    const plan = []
+    const visited = new Set([itemId])
+
+    const clear = (item) => {
+      for (const blocker of this.getBlockers(item)) {
+        if (visited.has(blocker.item.itemId)) continue
+        visited.add(blocker.item.itemId)
+        clear(blocker.item)
+        plan.push({ item: blocker.item, reason: blocker.reason, blocks: item.itemId })
+      }
+    }
+    clear(targetItem)
+
+    return plan
+  }
+
+  /**
+   * Get all items that need to be moved to retrieve a specific item
+   * @param {string} itemId - The ID of the item to retrieve
+   * @returns {Array} - Array of items that need to be moved, in removal order
+   */
+  getItemsToMove(itemId) {
+    return this.getRemovalPlan(itemId).map((removal) => removal.item)
+  }
+
+  /**
+   * Calculate the number of steps needed to retrieve an item
+   * @param {string} itemId - The ID of the item to retrieve
+   * @returns {number} - The number of steps needed
+   */
+  getRetrievalSteps(itemId) {
+    return this.getItemsToMove(itemId).length
+  }
+
+  /**
+   * Clone the container
+   * @returns {Container} - A new instance with the same properties
+   */
+  clone() {
+    return new Container({
+      containerId: this.containerId,
+      zone: this.zone,
+      width: this.width,
+      depth: this.depth,
+      height: this.height,
+      items: JSON.parse(JSON.stringify(this.items)),
+      maxLoad: this.maxLoad,
+      maxStackLoad: this.maxStackLoad,
+      stationCoordinates: this.stationCoordinates ? { ...this.stationCoordinates } : null,
+    })
+  }
+}
+
+export default Container
+
@@ -0,0 +1,29 @@
+/**
+ * Raised when a model is built from data that breaks one of its invariants
+ */
+export class ModelValidationError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {string} field - The field that breaks the invariant
+   */
+  constructor(message, field) {
+    super(message)
+    this.name = this.constructor.name
+    this.field = field
+  }
+}
+
+/**
+ * Raised by the Item constructor
+ */
+export class ItemValidationError extends ModelValidationError {}
+
+/**
+ * Raised by the Container constructor
+ */
+export class ContainerValidationError extends ModelValidationError {}
+
+/**
+ * Raised by the Undocking model
+ */
+export class UndockingValidationError extends ModelValidationError {}
@@ -0,0 +1,319 @@
+import { ItemValidationError } from "./errors.js"
+
+/**
+ * Axis-aligned orientations an item can be stowed in. Each letter names the item
+ * dimension (Width, Depth, Height) that lies along the container's width, depth
+ * and height axes respectively, so "WDH" is the item as declared.
+ */
+const ORIENTATIONS = ["WDH", "DWH", "WHD", "HWD", "DHW", "HDW"]
+
+// Orientations that keep the item's declared height vertical
+const UPRIGHT_ORIENTATIONS = ["WDH", "DWH"]
+
+const DIMENSION_KEYS = { W: "width", D: "depth", H: "height" }
+
+// Quantities are kept to this many decimal places, so repeated fractional uses add up exactly
+const QUANTITY_DECIMALS = 6
+
+/**
+ * Item model representing cargo items on the space station
+ */
+class Item {
+  constructor({
+    itemId,
+    name,
+    width,
+    depth,
+    height,
+    mass,
+    priority,
+    expiryDate,
+    usageLimit,
+    preferredZone,
+    containerId = null,
+    position = null,
+    remainingUses = null,
+    thisSideUp = false,
+    orientation = null,
+    hazardClass = null,
+    heldBy = null,
+    quantity = null,
+    remainingQuantity = null,
+    unit = null,
+  }) {
+    this.itemId = itemId
+    this.name = name
+    this.width = width
+    this.depth = depth
+    this.height = height
+    this.mass = mass || 0
+    this.priority = priority
+    this.expiryDate = expiryDate ? new Date(expiryDate) : null
+    this.usageLimit = usageLimit
+    this.preferredZone = preferredZone
+    this.containerId = containerId
+    this.position = position
+    this.remainingUses = remainingUses !== null ? remainingUses : usageLimit
+    this.thisSideUp = Boolean(thisSideUp) // Only rotations about the vertical axis are allowed
+    this.orientation = orientation // One of ORIENTATIONS once the item is placed
+    this.hazardClass = hazardClass ? String(hazardClass).trim().toLowerCase() : null // e.g. "food", "battery"
+    this.heldBy = heldBy // { userId, fromContainer, since } while taken out and in the crew's hands
+    this.quantity = quantity // Amount of bulk stock when full, e.g. 40 wipes or 2 L, or null if not tracked
+    this.remainingQuantity = remainingQuantity !== null ? remainingQuantity : quantity
+    this.unit = unit // Unit of the quantity, e.g. "wipes" or "L"
+
+    this.validate(mass)
+  }
+
+  /**
+   * Enforce the item's invariants
+   * @param {*} mass - The mass as given, before defaulting to 0
+   * @throws {ItemValidationError} - If any invariant is broken
+   */
+  validate(mass) {
+    const fail = (field, message) => {
+      throw new ItemValidationError(`Item ${this.itemId}: ${field} ${message}`, field)
+    }
+
+    if (this.itemId === undefined || this.itemId === null || String(this.itemId).trim() === "") {
+      fail("itemId", "is required")
+    }
+    if (this.name === undefined || this.name === null || String(this.name).trim() === "") {
+      fail("name", "is required")
+    }
+    for (const dimension of ["width", "depth", "height"]) {
+      if (typeof this[dimension] !== "number" || !Number.isFinite(this[dimension]) || this[dimension] <= 0) {
+        fail(dimension, "must be a number greater than 0")
+      }
+    }
+    if (mass !== undefined && mass !== null && (typeof mass !== "number" || !Number.isFinite(mass) || mass < 0)) {
+      fail("mass", "must be a number of at least 0")
+    }
+    if (this.priority !== undefined && this.priority !== null && !Number.isFinite(this.priority)) {
+      fail("priority", "must be a number")
+    }
+    if (this.expiryDate && Number.isNaN(this.expiryDate.getTime())) {
+      fail("expiryDate", "must be a valid date")
+    }
+
+    const isCount = (value) => value === null || value === undefined || (Number.isInteger(value) && value >= 0)
+    if (!isCount(this.usageLimit)) {
+      fail("usageLimit", "must be an integer of at least 0")
+    }
+    if (!isCount(this.remainingUses)) {
+      fail("remainingUses", "must be an integer of at least 0")
+    }
+    if (Number.isInteger(this.usageLimit) && this.remainingUses > this.usageLimit) {
+      fail("remainingUses", `must not exceed usageLimit (${this.usageLimit})`)
+    }
+
+    const isSet = (value) => value !== null && value !== undefined
+    if (isSet(this.quantity) && !(Number.isFinite(this.quantity) && this.quantity > 0)) {
+      fail("quantity", "must be a number greater than 0")
+    }
+    if (isSet(this.remainingQuantity)) {
+      if (!isSet(this.quantity)) {
+        fail("remainingQuantity", "requires a quantity")
+      }
+      if (!(Number.isFinite(this.remainingQuantity) && this.remainingQuantity >= 0)) {
+        fail("remainingQuantity", "must be a number of at least 0")
+      }
+      if (this.remainingQuantity > this.quantity) {
+        fail("remainingQuantity", `must not exceed quantity (${this.quantity})`)
+      }
+    }
+    if (isSet(this.unit) && (typeof this.unit !== "string" || this.unit.trim() === "")) {
+      fail("unit", "must be a non-empty string")
+    }
+
+    if (this.orientation !== null && this.orientation !== undefined && !ORIENTATIONS.includes(this.orientation)) {
+      fail("orientation", `must be one of ${ORIENTATIONS.join(", ")}`)
+    }
+    if (this.position) {
+      const { startCoordinates: start, endCoordinates: end } = this.position
+      const isValid =
+        start &&
+        end &&
+        Object.values(DIMENSION_KEYS).every(
+          (axis) => Number.isFinite(start[axis]) && Number.isFinite(end[axis]) && end[axis] > start[axis],
+        )
+      if (!isValid) {
+        fail("position", "must have numeric start and end coordinates with the end beyond the start")
+      }
+      if (!Item.getOrientationForPosition(this, this.position)) {
+        fail("position", "does not match the item's dimensions in any allowed orientation")
+      }
+    }
+  }
+
+  /**
+   * Get the orientations an item may be placed in, with their extents
+   * Orientations that produce the same extents (e.g. for a cube) are listed once
+   * @param {Object} item - The item, or any object with width, depth, height and thisSideUp
+   * @returns {Array} - Array of { orientation, width, depth, height }
+   */
+  static getOrientations(item) {
+    const candidates = item.thisSideUp ? UPRIGHT_ORIENTATIONS : ORIENTATIONS
+    const seen = new Set()
+    const orientations = []
+
+    for (const orientation of candidates) {
+      const extents = {
+        orientation,
+        width: item[DIMENSION_KEYS[orientation[0]]],
+        depth: item[DIMENSION_KEYS[orientation[1]]],
+        height: item[DIMENSION_KEYS[orientation[2]]],
+      }
+
+      const key = `${extents.width}x${extents.depth}x${extents.height}`
+      if (seen.has(key)) continue
+      seen.add(key)
+
+      orientations.push(extents)
+    }
+
+    return orientations
+  }
+
+  /**
+   * Find the allowed orientation whose extents match a position
+   * @param {Object} item - The item, or any object with width, depth, height and thisSideUp
+   * @param {Object} position - The position with startCoordinates and endCoordinates
+   * @returns {string|null} - The orientation or null if the position does not match the item
+   */
+  static getOrientationForPosition(item, position) {
+    const { startCoordinates: start, endCoordinates: end } = position
+    const matches = (a, b) => Math.abs(a - b) < 1e-6
+
+    const match = Item.getOrientations(item).find(
+      (extents) =>
+        matches(end.width - start.width, extents.width) &&
+        matches(end.depth - start.depth, extents.depth) &&
+        matches(end.height - start.height, extents.height),
+    )
+
+    return match ? match.orientation : null
+  }
+
+  /**
+   * Check if the item is expired based on the current date
+   * @param {Date} currentDate - The current date to check against
+   * @returns {boolean} - Whether the item is expired
+   */
+  isExpired(currentDate) {
+    if (!this.expiryDate) return false
+    return this.expiryDate < currentDate
+  }
+
+  /**
+   * Check if the item is out of uses
+   * @returns {boolean} - Whether the item is out of uses
+   */
+  isOutOfUses() {
+    // Items without a usage limit never run out of uses, and bulk stock runs out by quantity instead
+    if (this.tracksQuantity()) return false
+    return this.remainingUses !== null && this.remainingUses !== undefined && this.remainingUses <= 0
+  }
+
+  /**
+   * Check if the item tracks a quantity of bulk stock
+   * @returns {boolean} - Whether the item has a quantity
+   */
+  tracksQuantity() {
+    return this.quantity !== null && this.quantity !== undefined
+  }
+
+  /**
+   * Check if the item's quantity is used up
+   * @returns {boolean} - Whether the item is depleted
+   */
+  isDepleted() {
+    return this.tracksQuantity() && this.remainingQuantity <= 0
+  }
+
+  /**
+   * Check if the item is waste (expired, out of uses or depleted)
+   * @param {Date} currentDate - The current date to check against
+   * @returns {boolean} - Whether the item is waste
+   */
+  isWaste(currentDate) {
+    return this.isExpired(currentDate) || this.isOutOfUses() || this.isDepleted()
+  }
+
+  /**
+   * Get the reason why an item is waste
+   * @param {Date} currentDate - The current date to check against
+   * @returns {string|null} - The reason or null if not waste
+   */
+  getWasteReason(currentDate) {
+    if (this.isExpired(currentDate)) return "Expired"
+    if (this.isOutOfUses()) return "Out of Uses"
+    if (this.isDepleted()) return "Depleted"
+    return null
+  }
+
+  /**
+   * Use the item once, decrementing its remaining uses. Bulk stock has an amount of its
+   * quantity consumed instead, at most what is left, and keeps its remaining uses: the
+   * quantity replaces the use count, so a usage limit never makes it waste.
+   * @param {number} amount - The amount to consume, in the item's unit
+   * @returns {number} - The remaining uses after using the item
+   */
+  use(amount = 1) {
+    if (this.tracksQuantity()) {
+      this.remainingQuantity = Math.max(Item.roundQuantity(this.remainingQuantity - amount), 0)
+    } else if (this.remainingUses > 0) {
+      this.remainingUses--
+    }
+    return this.remainingUses
+  }
+
+  /**
+   * Round a quantity to the precision quantities are kept at
+   * @param {number} value - The quantity
+   * @returns {number} - The rounded quantity
+   */
+  static roundQuantity(value) {
+    return Number(value.toFixed(QUANTITY_DECIMALS))
+  }
+
+  /**
+   * Get the volume of the item
+   * @returns {number} - The volume in cubic cm
+   */
+  getVolume() {
+    return this.width * this.depth * this.height
+  }
+
+  /**
+   * Clone the item
+   * @returns {Item} - A new instance with the same properties
+   */
+  clone() {
+    return new Item({
+      itemId: this.itemId,
+      name: this.name,
+      width: this.width,
+      depth: this.depth,
+      height: this.height,
+      mass: this.mass,
+      priority: this.priority,
+      expiryDate: this.expiryDate ? new Date(this.expiryDate) : null,
+      usageLimit: this.usageLimit,
+      preferredZone: this.preferredZone,
+      containerId: this.containerId,
+      position: this.position ? JSON.parse(JSON.stringify(this.position)) : null,
+      remainingUses: this.remainingUses,
+      thisSideUp: this.thisSideUp,
+      orientation: this.orientation,
+      hazardClass: this.hazardClass,
+      heldBy: this.heldBy ? { ...this.heldBy } : null,
+      quantity: this.quantity,
+      remainingQuantity: this.remainingQuantity,
+      unit: this.unit,
+    })
+  }
+}
+
+export default Item
+
@@ -0,0 +1,153 @@
+import { UndockingValidationError } from "./errors.js"
+
+// The states of an undocking, in lifecycle order
+const UNDOCKING_STATUSES = ["scheduled", "loading", "sealed", "undocked"]
+
+// The states an undocking can move on to from each state
+const TRANSITIONS = {
+  scheduled: ["loading", "sealed", "undocked"],
+  loading: ["sealed", "undocked"],
+  sealed: ["undocked"],
+  undocked: [],
+}
+
+/**
+ * Undocking model recording one departure of an undocking container
+ * and the waste it carries away
+ */
+class Undocking {
+  constructor({
+    undockingId,
+    undockingContainerId,
+    zone = null,
+    undockingDate,
+    status = "scheduled",
+    manifest = null,
+    items = [],
+    totalWeight = 0,
+    totalVolume = 0,
+    history = [],
+  }) {
+    this.undockingId = undockingId
+    this.undockingContainerId = undockingContainerId
+    this.zone = zone // Zone of the container, kept once the container is gone
+    this.undockingDate = undockingDate ? new Date(undockingDate) : null
+    this.status = status
+    this.manifest = manifest // The return manifest planned when the undocking was scheduled, if any
+    this.items = items // Array of { itemId, name, mass, volume, wasteReason } in the container when sealed or undocked
+    this.totalWeight = totalWeight
+    this.totalVolume = totalVolume
+    this.history = history // Array of { status, timestamp, userId }, one per state entered
+
+    this.validate()
+  }
+
+  /**
+   * Enforce the undocking's invariants
+   * @throws {UndockingValidationError} - If any invariant is broken
+   */
+  validate() {
+    const fail = (field, message) => {
+      throw new UndockingValidationError(`Undocking ${this.undockingId}: ${field} ${message}`, field)
+    }
+
+    for (const field of ["undockingId", "undockingContainerId"]) {
+      if (this[field] === undefined || this[field] === null || String(this[field]).trim() === "") {
+        fail(field, "is required")
+      }
+    }
+    if (!this.undockingDate || Number.isNaN(this.undockingDate.getTime())) {
+      fail("undockingDate", "must be a valid date")
+    }
+    if (!UNDOCKING_STATUSES.includes(this.status)) {
+      fail("status", `must be one of ${UNDOCKING_STATUSES.join(", ")}`)
+    }
+    if (!Array.isArray(this.items)) {
+      fail("items", "must be an array")
+    }
+    for (const total of ["totalWeight", "totalVolume"]) {
+      if (!(Number.isFinite(this[total]) && this[total] >= 0)) {
+        fail(total, "must be a number of at least 0")
+      }
+    }
+  }
+
+  /**
+   * Check whether the undocking can move on to a state
+   * @param {string} status - The state to move to
+   * @returns {boolean} - Whether the transition is allowed
+   */
+  canTransitionTo(status) {
+    return TRANSITIONS[this.status].includes(status)
+  }
+
+  /**
+   * Move the undocking on to a state and record when and by whom
+   * @param {string} status - The state to move to
+   * @param {string} userId - The user moving it
+   * @param {string} timestamp - When it happened, now if omitted
+   * @throws {UndockingValidationError} - If the transition is not allowed
+   */
+  transition(status, userId, timestamp) {
+    if (!this.canTransitionTo(status)) {
+      throw new UndockingValidationError(
+        `Undocking ${this.undockingId} cannot go from ${this.status} to ${status}`,
+        "status",
+      )
+    }
+
+    this.status = status
+    this.history.push({
+      status,
+      timestamp: (timestamp ? new Date(timestamp) : new Date()).toISOString(),
+      userId: userId || null,
+    })
+  }
+
+  /**
+   * Record the items carried away and their totals
+   * @param {Array} items - Array of { itemId, name, mass, volume, wasteReason }
+   */
+  setContents(items) {
+    this.items = items
+    this.totalWeight = items.reduce((total, item) => total + (item.mass || 0), 0)
+    this.totalVolume = items.reduce((total, item) => total + item.volume, 0)
+  }
+
+  /**
+   * Check whether the undocking has not departed yet
+   * @returns {boolean} - Whether the undocking is active
+   */
+  isActive() {
+    return this.status !== "undocked"
+  }
+
+  /**
+   * Clone the undocking
+   * @returns {Undocking} - A new instance with the same properties
+   */
+  clone() {
+    return new Undocking({
+      undockingId: this.undockingId,
+      undockingContainerId: this.undockingContainerId,
+      zone: this.zone,
+      undockingDate: this.undockingDate,
+      status: this.status,
+      manifest: this.manifest ? JSON.parse(JSON.stringify(this.manifest)) : null,
+      items: this.items.map((item) => ({ ...item })),
+      totalWeight: this.totalWeight,
+      totalVolume: this.totalVolume,
+      history: this.history.map((entry) => ({ ...entry })),
+    })
+  }
+
+  /**
+   * Get the states an undocking goes through
+   * @returns {Array} - The state names, in lifecycle order
+   */
+  static getStatuses() {
+    return UNDOCKING_STATUSES
+  }
+}
+
+export default Undocking
@@ -0,0 +1,25 @@
+import express from "express"
+import balanceService from "../services/balance-service.js"
+
+const router = express.Router()
+
+/**
+ * Mass Balance API
+ * GET /api/balance
+ */
+router.get("/", async (req, res) => {
+  try {
+    // Compute the center of mass of every container, zone and the station
+    const result = balanceService.getBalanceReport()
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in balance API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,44 @@
+import express from "express"
+import stowageRules from "../services/stowage-rules-service.js"
+
+const router = express.Router()
+
+/**
+ * Hazard Compliance Report API
+ * GET /api/compliance
+ */
+router.get("/", async (req, res) => {
+  try {
+    // Check every container against the hazard segregation rules
+    const result = stowageRules.getComplianceReport()
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in compliance API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Hazard Rules API
+ * GET /api/compliance/rules
+ */
+router.get("/rules", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...stowageRules.getHazardRules(),
+    })
+  } catch (error) {
+    console.error("Error in compliance rules API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
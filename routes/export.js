@@ -0,0 +1,30 @@
+import express from "express"
+import importExportService from "../services/import-export-service.js"
+
+const router = express.Router()
+
+/**
+ * Export Arrangement API
+ * GET /api/export/arrangement
+ */
+router.get("/arrangement", async (req, res) => {
+  try {
+    // Export arrangement
+    const csv = importExportService.exportArrangement()
+
+    // Set headers for file download
+    res.setHeader("Content-Type", "text/csv")
+    res.setHeader("Content-Disposition", "attachment; filename=arrangement.csv")
+
+    // Send the CSV
+    res.send(csv)
+  } catch (error) {
+    console.error("Error in export arrangement API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -1,6 +1,7 @@
 import express from "express"
 import multer from "multer"
 import importExportService from "../services/import-export-service.js"
+import { sendValidationErrors } from "../middleware/validate.js"
 
 const router = express.Router()
 const upload = multer({ dest: "uploads/" })
@@ -13,10 +14,7 @@ router.post("/items", upload.single("file"), async (req, res) => {
   try {
     // Validate input
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: "No file uploaded",
-      })
+      return sendValidationErrors(res, [{ field: "file", message: "is required" }])
     }
 
     // Import items
@@ -40,10 +38,7 @@ router.post("/containers", upload.single("file"), async (req, res) => {
   try {
     // Validate input
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: "No file uploaded",
-      })
+      return sendValidationErrors(res, [{ field: "file", message: "is required" }])
     }
 
     // Import containers
@@ -59,29 +54,5 @@ router.post("/containers", upload.single("file"), async (req, res) => {
   }
 })
 
-/**
- * Export Arrangement API
- * GET /api/export/arrangement
- */
-router.get("/arrangement", async (req, res) => {
-  try {
-    // Export arrangement
-    const csv = importExportService.exportArrangement()
-
-    // Set headers for file download
-    res.setHeader("Content-Type", "text/csv")
-    res.setHeader("Content-Disposition", "attachment; filename=arrangement.csv")
-
-    // Send the CSV
-    res.send(csv)
-  } catch (error) {
-    console.error("Error in export arrangement API:", error)
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    })
-  }
-})
-
 export default router
 
@@ -0,0 +1,55 @@
+import placementRoutes from "./placements.js"
+import searchRoutes from "./search.js"
+import retrieveRoutes from "./retrieve.js"
+import placeRoutes from "./place.js"
+import wasteRoutes from "./waste.js"
+import simulateRoutes from "./simulate.js"
+import importRoutes from "./import.js"
+import exportRoutes from "./export.js"
+import logsRoutes from "./logs.js"
+import balanceRoutes from "./balance.js"
+import complianceRoutes from "./compliance.js"
+import integrityRoutes from "./integrity.js"
+import undockingRoutes from "./undockings.js"
+
+/**
+ * Every API router and the path it is mounted at
+ */
+const registry = [
+  { path: "/api/placement", router: placementRoutes },
+  { path: "/api/search", router: searchRoutes },
+  { path: "/api/retrieve", router: retrieveRoutes },
+  { path: "/api/place", router: placeRoutes },
+  { path: "/api/waste", router: wasteRoutes },
+  { path: "/api/simulate", router: simulateRoutes },
+  { path: "/api/import", router: importRoutes },
+  { path: "/api/export", router: exportRoutes },
+  { path: "/api/logs", router: logsRoutes },
+  { path: "/api/balance", router: balanceRoutes },
+  { path: "/api/compliance", router: complianceRoutes },
+  { path: "/api/integrity", router: integrityRoutes },
+  { path: "/api/undockings", router: undockingRoutes },
+]
+
+/**
+ * List the endpoints of every registered router
+ * @returns {Array} - Array of { method, path }, in registration order
+ */
+export function listRoutes() {
+  const routes = []
+
+  for (const { path, router } of registry) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue
+
+      const routePath = layer.route.path === "/" ? path : `${path}${layer.route.path}`
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method.toUpperCase(), path: routePath })
+      }
+    }
+  }
+
+  return routes
+}
+
+export default registry
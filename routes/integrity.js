@@ -0,0 +1,25 @@
+import express from "express"
+import integrityService from "../services/integrity-service.js"
+
+const router = express.Router()
+
+/**
+ * Data Integrity API
+ * GET /api/integrity
+ */
+router.get("/", async (req, res) => {
+  try {
+    // Scan the stored items and containers for inconsistencies
+    const result = integrityService.getIntegrityReport()
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in integrity API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
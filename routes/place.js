@@ -0,0 +1,29 @@
+import express from "express"
+import retrievalService from "../services/retrieval-service.js"
+import validateBody from "../middleware/validate.js"
+import { placeSchema } from "../middleware/schemas.js"
+
+const router = express.Router()
+
+/**
+ * Item Placement API
+ * POST /api/place
+ */
+router.post("/", validateBody(placeSchema), async (req, res) => {
+  try {
+    const { itemId, userId, timestamp, containerId, position } = req.body
+
+    // Place the item
+    const result = retrievalService.placeItem(itemId, userId, timestamp, containerId, position)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in place API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,73 @@
+import express from "express"
+import placementService from "../services/placement-service.js"
+import balanceService from "../services/balance-service.js"
+import validateBody, { sendValidationErrors } from "../middleware/validate.js"
+import { placementSchema } from "../middleware/schemas.js"
+import db from "../services/database.js"
+import Item from "../models/item.js"
+import Container from "../models/container.js"
+import { ModelValidationError } from "../models/errors.js"
+
+const router = express.Router()
+
+/**
+ * Placement Recommendations API
+ * POST /api/placement
+ */
+router.post("/", validateBody(placementSchema), async (req, res) => {
+  try {
+    const { items, containers, strategy, dryRun = false, userId, timestamp, zoneMassBounds } = req.body
+
+    // Convert items to Item objects
+    const itemObjects = items.map((item) => new Item(item))
+
+    // Convert containers to Container objects
+    const containerObjects = containers.map((container) => {
+      // If the container already exists in the database, use that one
+      const existingContainer = db.getContainer(container.containerId)
+      if (existingContainer) {
+        return existingContainer
+      }
+
+      // Otherwise, create a new container
+      return new Container(container)
+    })
+
+    // Find optimal placement
+    const result = placementService.findOptimalPlacement(
+      itemObjects,
+      containerObjects,
+      strategy,
+      zoneMassBounds || balanceService.getZoneMassBounds(),
+    )
+
+    // A dry run only returns the plan
+    if (dryRun) {
+      return res.json({ ...result, dryRun: true })
+    }
+
+    // Apply all placements and rearrangements, or none of them
+    if (result.success) {
+      const commit = placementService.commitPlacement(result, itemObjects, containerObjects, userId, timestamp)
+      if (!commit.success) {
+        return res.json({ ...result, success: false, message: commit.message })
+      }
+    }
+
+    res.json(result)
+  } catch (error) {
+    // Items or containers that break a model invariant the schema does not cover
+    if (error instanceof ModelValidationError) {
+      return sendValidationErrors(res, [{ field: error.field, message: error.message }])
+    }
+
+    console.error("Error in placement API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
+
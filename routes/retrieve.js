@@ -0,0 +1,40 @@
+import express from "express"
+import retrievalService from "../services/retrieval-service.js"
+import validateBody from "../middleware/validate.js"
+import { retrieveSchema } from "../middleware/schemas.js"
+
+const router = express.Router()
+
+/**
+ * Item Retrieval API
+ * POST /api/retrieve
+ */
+router.post("/", validateBody(retrieveSchema), async (req, res) => {
+  try {
+    const { itemId, itemName, userId, timestamp, mode, amount } = req.body
+
+    // Retrieve the item, choosing the best unit when only a name is given;
+    // the name must match exactly, a retrieval never uses up a similarly named item
+    if (!itemId) {
+      const choice = retrievalService.selectItemByName(itemName, true)
+      if (!choice) {
+        return res.json({ success: false, message: `No item named "${itemName}"` })
+      }
+
+      const result = retrievalService.retrieveItem(choice.item.itemId, userId, timestamp, mode, amount)
+      return res.json({ ...result, itemId: choice.item.itemId, selection: choice.selection })
+    }
+
+    const result = retrievalService.retrieveItem(itemId, userId, timestamp, mode, amount)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in retrieve API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,80 @@
+import express from "express"
+import retrievalService from "../services/retrieval-service.js"
+import { validate, sendValidationErrors } from "../middleware/validate.js"
+
+const router = express.Router()
+
+/**
+ * Item Search API
+ * GET /api/search
+ * With itemId or itemName, returns the single matching item with its retrieval steps.
+ * With query and/or filters, returns a ranked list of matching items.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { itemId, itemName, userId, mode, query, zone, containerId, expiresAfter, expiresBefore } = req.query
+
+    // Single-item lookup
+    if (itemId || itemName) {
+      if (mode !== undefined && !retrievalService.getModes().includes(mode)) {
+        return sendValidationErrors(res, [
+          { field: "mode", message: `must be one of ${retrievalService.getModes().join(", ")}` },
+        ])
+      }
+
+      const result = retrievalService.searchItem(itemId, itemName, userId, mode)
+      return res.json(result)
+    }
+
+    // Validate input
+    const minPriority = req.query.minPriority !== undefined ? Number(req.query.minPriority) : undefined
+    const maxPriority = req.query.maxPriority !== undefined ? Number(req.query.maxPriority) : undefined
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20
+
+    if (
+      !query &&
+      !zone &&
+      !containerId &&
+      !expiresAfter &&
+      !expiresBefore &&
+      minPriority === undefined &&
+      maxPriority === undefined
+    ) {
+      return sendValidationErrors(res, [
+        { field: "query", message: "one of itemId, itemName, query or a filter is required" },
+      ])
+    }
+
+    const errors = [
+      ...validate(minPriority, { type: "number" }, "minPriority"),
+      ...validate(maxPriority, { type: "number" }, "maxPriority"),
+      ...validate(limit, { type: "number", integer: true, positive: true }, "limit"),
+      ...validate(expiresAfter, { type: "date" }, "expiresAfter"),
+      ...validate(expiresBefore, { type: "date" }, "expiresBefore"),
+    ]
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    // Search for matching items
+    const results = retrievalService.searchItems(
+      query,
+      { zone, containerId, expiresAfter, expiresBefore, minPriority, maxPriority },
+      limit,
+    )
+
+    res.json({
+      success: true,
+      found: results.length > 0,
+      results,
+    })
+  } catch (error) {
+    console.error("Error in search API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -1,5 +1,7 @@
 import express from "express"
 import simulationService from "../services/simulation-service.js"
+import validateBody from "../middleware/validate.js"
+import { simulateDaySchema } from "../middleware/schemas.js"
 
 const router = express.Router()
 
@@ -7,18 +9,10 @@ const router = express.Router()
  * Time Simulation API
  * POST /api/simulate/day
  */
-router.post("/day", async (req, res) => {
+router.post("/day", validateBody(simulateDaySchema), async (req, res) => {
   try {
     const { numOfDays, toTimestamp, itemsToBeUsedPerDay } = req.body
 
-    // Validate input
-    if (!numOfDays && !toTimestamp) {
-      return res.status(400).json({
-        success: false,
-        message: "Either numOfDays or toTimestamp must be provided",
-      })
-    }
-
     // Simulate days
     const result = simulationService.simulateDays(numOfDays, toTimestamp, itemsToBeUsedPerDay)
 
@@ -0,0 +1,105 @@
+import express from "express"
+import undockingService from "../services/undocking-service.js"
+import validateBody, { validate, sendValidationErrors } from "../middleware/validate.js"
+import { scheduleUndockingSchema, sealUndockingSchema, undockingStatus } from "../middleware/schemas.js"
+
+const router = express.Router()
+
+/**
+ * Undocking List API
+ * GET /api/undockings
+ * Optional status and undockingContainerId filters
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { status, undockingContainerId } = req.query
+
+    const errors = validate(status, undockingStatus, "status")
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    const undockings = undockingService.getUndockings({ status, undockingContainerId })
+
+    res.json({
+      success: true,
+      undockings,
+    })
+  } catch (error) {
+    console.error("Error in undocking list API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Schedule Undocking API
+ * POST /api/undockings
+ */
+router.post("/", validateBody(scheduleUndockingSchema), async (req, res) => {
+  try {
+    const { undockingContainerId, undockingDate, maxWeight, objective, userId, timestamp } = req.body
+
+    // Schedule the undocking
+    const result = undockingService.scheduleUndocking(
+      undockingContainerId,
+      undockingDate,
+      maxWeight,
+      objective,
+      userId,
+      timestamp,
+    )
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in schedule undocking API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Undocking API
+ * GET /api/undockings/:undockingId
+ */
+router.get("/:undockingId", async (req, res) => {
+  try {
+    // Get the undocking
+    const result = undockingService.getUndocking(req.params.undockingId)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in undocking API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Seal Undocking API
+ * POST /api/undockings/:undockingId/seal
+ */
+router.post("/:undockingId/seal", validateBody(sealUndockingSchema), async (req, res) => {
+  try {
+    const { userId, timestamp } = req.body
+
+    // Seal the undocking
+    const result = undockingService.sealUndocking(req.params.undockingId, userId, timestamp)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in seal undocking API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,144 @@
+import express from "express"
+import wasteService from "../services/waste-service.js"
+import undockingService from "../services/undocking-service.js"
+import validateBody, { validate, sendValidationErrors } from "../middleware/validate.js"
+import {
+  wasteForecastSchema,
+  returnPlanSchema,
+  executeReturnPlanSchema,
+  completeUndockingSchema,
+} from "../middleware/schemas.js"
+
+const router = express.Router()
+
+/**
+ * Waste Identification API
+ * GET /api/waste/identify
+ */
+router.get("/identify", async (req, res) => {
+  try {
+    // Identify waste items
+    const result = wasteService.identifyWasteItems()
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in waste identify API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Waste Forecast API
+ * POST /api/waste/forecast
+ */
+router.post("/forecast", validateBody(wasteForecastSchema), async (req, res) => {
+  try {
+    const { horizonDays, itemsToBeUsedPerDay } = req.body
+
+    // Forecast the waste
+    const result = wasteService.forecastWaste(horizonDays, itemsToBeUsedPerDay)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in waste forecast API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Waste Return Plan API
+ * POST /api/waste/return-plan
+ */
+router.post("/return-plan", validateBody(returnPlanSchema), async (req, res) => {
+  try {
+    const { undockingContainerId, undockingDate, maxWeight, objective } = req.body
+
+    // Generate the return plan
+    const result = wasteService.generateReturnPlan(undockingContainerId, undockingDate, maxWeight, objective)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in waste return plan API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Return Plan Execution API
+ * POST /api/waste/return-plan/execute
+ * Approves the given returnPlan and starts moving its items, or continues the approved plan
+ */
+router.post("/return-plan/execute", validateBody(executeReturnPlanSchema), async (req, res) => {
+  try {
+    const { undockingContainerId, returnPlan, userId, timestamp, maxSteps } = req.body
+
+    // Execute the return plan
+    const result = wasteService.executeReturnPlan(undockingContainerId, returnPlan, userId, timestamp, maxSteps)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in return plan execution API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Return Plan Progress API
+ * GET /api/waste/return-plan/progress
+ */
+router.get("/return-plan/progress", async (req, res) => {
+  try {
+    const { undockingContainerId } = req.query
+
+    const errors = validate(undockingContainerId, { type: "string", required: true }, "undockingContainerId")
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    // Get the progress of the return plan
+    const result = wasteService.getReturnProgress(undockingContainerId)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in return plan progress API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * Complete Undocking API
+ * POST /api/waste/complete-undocking
+ */
+router.post("/complete-undocking", validateBody(completeUndockingSchema), async (req, res) => {
+  try {
+    const { undockingContainerId, timestamp, userId } = req.body
+
+    // Complete the undocking
+    const result = undockingService.completeUndocking(undockingContainerId, timestamp, userId)
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error in complete undocking API:", error)
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,8 @@
+import app from "./app.js"
+
+const port = process.env.PORT || 8000
+
+// Start server
+app.listen(port, "0.0.0.0", () => {
+  console.log(`Server running on port ${port}`)
+})
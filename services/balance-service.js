@@ -0,0 +1,174 @@
+import db from "./database.js"
+
+/**
+ * Service for reporting how mass is distributed across the station
+ * Item masses are treated as uniform, so each item's mass sits at the center
+ * of its stored position
+ */
+class BalanceService {
+  constructor() {
+    // Zone mass bounds from the environment, e.g. ZONE_MASS_BOUNDS='{"Airlock":{"max":500}}'
+    this.zoneMassBounds = this.parseZoneMassBounds(process.env.ZONE_MASS_BOUNDS)
+  }
+
+  /**
+   * Parse the configured zone mass bounds
+   * @param {string} value - JSON object mapping zone names to { min, max } in kg
+   * @returns {Object} - The bounds per zone
+   */
+  parseZoneMassBounds(value) {
+    if (!value) return {}
+
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      throw new Error(`ZONE_MASS_BOUNDS is not valid JSON: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get the configured zone mass bounds
+   * @returns {Object} - The bounds per zone
+   */
+  getZoneMassBounds() {
+    return this.zoneMassBounds
+  }
+
+  /**
+   * Check whether a mass lies within bounds
+   * @param {number} mass - The mass in kg
+   * @param {Object|null} bounds - The { min, max } bounds, either may be omitted
+   * @returns {boolean} - Whether the mass is within the bounds
+   */
+  isWithinBounds(mass, bounds) {
+    if (!bounds) return true
+    if (bounds.min !== undefined && bounds.min !== null && mass < bounds.min) return false
+    if (bounds.max !== undefined && bounds.max !== null && mass > bounds.max) return false
+    return true
+  }
+
+  /**
+   * Get the total mass per zone
+   * @param {Array} containers - The containers to sum over
+   * @returns {Map} - Map of zone to mass in kg
+   */
+  getZoneMasses(containers) {
+    const zoneMasses = new Map()
+    for (const container of containers) {
+      zoneMasses.set(container.zone, (zoneMasses.get(container.zone) || 0) + container.getCurrentLoad())
+    }
+    return zoneMasses
+  }
+
+  /**
+   * Compute the mass and center of mass of a container
+   * @param {Container} container - The container
+   * @returns {Object} - The container's balance, with the center of mass in container
+   * coordinates and, if the container's station coordinates are known, in station coordinates
+   */
+  getContainerBalance(container) {
+    let mass = 0
+    const moment = { width: 0, depth: 0, height: 0 }
+
+    for (const item of container.items) {
+      const itemMass = item.mass || 0
+      const { startCoordinates: start, endCoordinates: end } = item.position
+
+      mass += itemMass
+      moment.width += itemMass * ((start.width + end.width) / 2)
+      moment.depth += itemMass * ((start.depth + end.depth) / 2)
+      moment.height += itemMass * ((start.height + end.height) / 2)
+    }
+
+    const centerOfMass =
+      mass > 0 ? { width: moment.width / mass, depth: moment.depth / mass, height: moment.height / mass } : null
+
+    const origin = container.stationCoordinates
+    const stationCenterOfMass =
+      centerOfMass && origin
+        ? {
+            width: origin.width + centerOfMass.width,
+            depth: origin.depth + centerOfMass.depth,
+            height: origin.height + centerOfMass.height,
+          }
+        : null
+
+    return {
+      containerId: container.containerId,
+      zone: container.zone,
+      mass,
+      maxLoad: container.maxLoad,
+      centerOfMass,
+      stationCenterOfMass,
+    }
+  }
+
+  /**
+   * Combine container balances into the balance of a group of containers
+   * Mass in containers without station coordinates is counted in the total but
+   * cannot be located, so it is reported separately as unlocatedMass
+   * @param {Array} containerBalances - The balances of the containers in the group
+   * @returns {Object} - The group's mass, unlocated mass and center of mass in station coordinates
+   */
+  combineBalances(containerBalances) {
+    let mass = 0
+    let locatedMass = 0
+    const moment = { width: 0, depth: 0, height: 0 }
+
+    for (const balance of containerBalances) {
+      mass += balance.mass
+
+      if (balance.stationCenterOfMass) {
+        locatedMass += balance.mass
+        moment.width += balance.mass * balance.stationCenterOfMass.width
+        moment.depth += balance.mass * balance.stationCenterOfMass.depth
+        moment.height += balance.mass * balance.stationCenterOfMass.height
+      }
+    }
+
+    return {
+      mass,
+      unlocatedMass: mass - locatedMass,
+      centerOfMass:
+        locatedMass > 0
+          ? {
+              width: moment.width / locatedMass,
+              depth: moment.depth / locatedMass,
+              height: moment.height / locatedMass,
+            }
+          : null,
+    }
+  }
+
+  /**
+   * Report the mass distribution of every container, every zone and the whole station
+   * @returns {Object} - The balance report
+   */
+  getBalanceReport() {
+    const zoneNames = Array.from(new Set(db.getAllContainers().map((container) => container.zone)))
+
+    const zones = zoneNames.map((zone) => {
+      const containers = db.getContainersByZone(zone).map((container) => this.getContainerBalance(container))
+      const balance = this.combineBalances(containers)
+      const bounds = this.zoneMassBounds[zone] || null
+
+      return {
+        zone,
+        ...balance,
+        bounds,
+        withinBounds: this.isWithinBounds(balance.mass, bounds),
+        containers,
+      }
+    })
+
+    const station = this.combineBalances(zones.flatMap((zone) => zone.containers))
+
+    return {
+      success: true,
+      station,
+      zones,
+    }
+  }
+}
+
+export default new BalanceService()
@@ -1,18 +1,141 @@
+import Item from "../models/item.js"
+import Container from "../models/container.js"
+import Log from "../models/log.js"
+import Undocking from "../models/undocking.js"
+import MemoryStore from "./memory-store.js"
+import JournalStore from "./journal-store.js"
+
 /**
- * In-memory database service for the cargo management system
- * In a production environment, this would be replaced with a real database
+ * Database service for the cargo management system
+ * State is held in memory and every mutation is forwarded to a storage backend,
+ * which decides whether it survives a restart. Objects changed in place must be
+ * written back through the update methods to be persisted.
  */
 class Database {
-  constructor() {
+  /**
+   * @param {Object} store - The storage backend (MemoryStore or JournalStore)
+   */
+  constructor(store = new MemoryStore()) {
+    this.store = store
     this.items = new Map()
     this.containers = new Map()
     this.logs = []
     this.currentDate = new Date()
+    this.returnPlans = new Map() // Return plans being executed, keyed by undocking container
+    this.undockings = new Map()
+    this.pendingRecords = null // Records buffered while a transaction is open
+
+    this.load()
+  }
+
+  // Persistence methods
+  load() {
+    const state = this.store.load()
+    if (!state) return
+
+    // Rebuild model instances so their methods are available again
+    for (const data of state.items) {
+      const item = new Item(data)
+      this.items.set(item.itemId, item)
+    }
+
+    for (const data of state.containers) {
+      const container = new Container(data)
+      this.containers.set(container.containerId, container)
+    }
+
+    this.logs = state.logs.map((data) => new Log(data))
+
+    for (const plan of state.returnPlans || []) {
+      this.returnPlans.set(plan.undockingContainerId, plan)
+    }
+
+    for (const data of state.undockings || []) {
+      const undocking = new Undocking(data)
+      this.undockings.set(undocking.undockingId, undocking)
+    }
+
+    if (state.currentDate) {
+      this.currentDate = new Date(state.currentDate)
+    }
+
+    // Collapse the replayed history so the journal does not grow without bound
+    this.compact()
+  }
+
+  compact() {
+    this.store.compact({
+      items: this.getAllItems(),
+      containers: this.getAllContainers(),
+      logs: this.logs,
+      currentDate: this.currentDate,
+      returnPlans: this.getAllReturnPlans(),
+      undockings: this.getAllUndockings(),
+    })
+  }
+
+  // Forward a mutation to the storage backend, or buffer it while a transaction is open
+  record(op, data) {
+    if (this.pendingRecords) {
+      this.pendingRecords.push({ op, data })
+      return
+    }
+    this.store.record(op, data)
+  }
+
+  // Transaction methods
+
+  /**
+   * Run a set of changes atomically
+   * If the callback throws, the items, containers, logs, date, return plans and undockings are restored and
+   * nothing reaches the storage backend; otherwise all its changes are persisted
+   * as a single batch. Objects must not be mutated in place inside the callback,
+   * only replaced through the add/update/remove methods, or the rollback cannot undo them.
+   * @param {Function} callback - The changes to apply
+   * @returns {*} - The callback's return value
+   */
+  transaction(callback) {
+    if (this.pendingRecords) {
+      throw new Error("Nested transactions are not supported")
+    }
+
+    const snapshot = {
+      items: new Map(this.items),
+      containers: new Map(this.containers),
+      logs: [...this.logs],
+      currentDate: this.currentDate,
+      returnPlans: new Map(this.returnPlans),
+      undockings: new Map(this.undockings),
+    }
+    this.pendingRecords = []
+
+    let result
+    try {
+      result = callback()
+    } catch (error) {
+      this.items = snapshot.items
+      this.containers = snapshot.containers
+      this.logs = snapshot.logs
+      this.currentDate = snapshot.currentDate
+      this.returnPlans = snapshot.returnPlans
+      this.undockings = snapshot.undockings
+      this.pendingRecords = null
+      throw error
+    }
+
+    const records = this.pendingRecords
+    this.pendingRecords = null
+    if (records.length > 0) {
+      this.store.record("batch", records)
+    }
+
+    return result
   }
 
   // Item methods
   addItem(item) {
     this.items.set(item.itemId, item)
+    this.record("putItem", item)
     return item
   }
 
@@ -24,8 +147,13 @@ class Database {
     return Array.from(this.items.values()).find((item) => item.name === name)
   }
 
+  getItemsByName(name) {
+    return Array.from(this.items.values()).filter((item) => item.name === name)
+  }
+
   updateItem(item) {
     this.items.set(item.itemId, item)
+    this.record("putItem", item)
     return item
   }
 
@@ -33,6 +161,7 @@ class Database {
     const item = this.items.get(itemId)
     if (item) {
       this.items.delete(itemId)
+      this.record("removeItem", { itemId })
     }
     return item
   }
@@ -44,6 +173,7 @@ class Database {
   // Container methods
   addContainer(container) {
     this.containers.set(container.containerId, container)
+    this.record("putContainer", container)
     return container
   }
 
@@ -53,6 +183,7 @@ class Database {
 
   updateContainer(container) {
     this.containers.set(container.containerId, container)
+    this.record("putContainer", container)
     return container
   }
 
@@ -60,6 +191,7 @@ class Database {
     const container = this.containers.get(containerId)
     if (container) {
       this.containers.delete(containerId)
+      this.record("removeContainer", { containerId })
     }
     return container
   }
@@ -75,6 +207,7 @@ class Database {
   // Log methods
   addLog(log) {
     this.logs.push(log)
+    this.record("addLog", log)
     return log
   }
 
@@ -113,6 +246,7 @@ class Database {
 
   setCurrentDate(date) {
     this.currentDate = new Date(date)
+    this.record("setCurrentDate", { currentDate: this.currentDate })
     return this.currentDate
   }
 
@@ -120,9 +254,68 @@ class Database {
     const newDate = new Date(this.currentDate)
     newDate.setDate(newDate.getDate() + days)
     this.currentDate = newDate
+    this.record("setCurrentDate", { currentDate: this.currentDate })
     return this.currentDate
   }
 
+  // Return plan methods
+  getReturnPlan(undockingContainerId) {
+    return this.returnPlans.get(undockingContainerId)
+  }
+
+  putReturnPlan(plan) {
+    this.returnPlans.set(plan.undockingContainerId, plan)
+    this.record("putReturnPlan", plan)
+    return plan
+  }
+
+  removeReturnPlan(undockingContainerId) {
+    const plan = this.returnPlans.get(undockingContainerId)
+    if (plan) {
+      this.returnPlans.delete(undockingContainerId)
+      this.record("removeReturnPlan", { undockingContainerId })
+    }
+    return plan
+  }
+
+  getAllReturnPlans() {
+    return Array.from(this.returnPlans.values())
+  }
+
+  // Undocking methods
+  addUndocking(undocking) {
+    this.undockings.set(undocking.undockingId, undocking)
+    this.record("putUndocking", undocking)
+    return undocking
+  }
+
+  getUndocking(undockingId) {
+    return this.undockings.get(undockingId)
+  }
+
+  updateUndocking(undocking) {
+    this.undockings.set(undocking.undockingId, undocking)
+    this.record("putUndocking", undocking)
+    return undocking
+  }
+
+  getAllUndockings() {
+    return Array.from(this.undockings.values())
+  }
+
+  // The undocking of a container that has not departed yet, there is at most one
+  getActiveUndocking(undockingContainerId) {
+    return this.getAllUndockings().find(
+      (undocking) => undocking.undockingContainerId === undockingContainerId && undocking.isActive(),
+    )
+  }
+
+  // The undocking a container is sealed for, if any; nothing goes into or out of a sealed container
+  getSealedUndocking(undockingContainerId) {
+    const undocking = this.getActiveUndocking(undockingContainerId)
+    return undocking && undocking.status === "sealed" ? undocking : undefined
+  }
+
   // Waste identification
   getWasteItems() {
     const currentDate = this.getCurrentDate()
@@ -135,10 +328,34 @@ class Database {
     this.containers.clear()
     this.logs = []
     this.currentDate = new Date()
+    this.returnPlans.clear()
+    this.undockings.clear()
+    this.record("clear", {})
+  }
+}
+
+/**
+ * Create the storage backend selected by the environment
+ * DB_STORAGE=memory (default) keeps everything in memory,
+ * DB_STORAGE=journal appends to the file named by DB_JOURNAL_PATH
+ * @returns {Object} - The storage backend
+ */
+function createStore() {
+  const storage = process.env.DB_STORAGE || "memory"
+
+  switch (storage) {
+    case "memory":
+      return new MemoryStore()
+    case "journal":
+      return new JournalStore(process.env.DB_JOURNAL_PATH || "data/journal.jsonl")
+    default:
+      throw new Error(`Unknown DB_STORAGE backend: ${storage}`)
   }
 }
 
 // Singleton instance
-const db = new Database()
+const db = new Database(createStore())
 export default db
 
+// The class itself, for databases on a storage backend of their own
+export { Database }
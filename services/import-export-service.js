@@ -4,6 +4,7 @@ import { stringify } from "csv-stringify/sync"
 import db from "./database.js"
 import Item from "../models/item.js"
 import Container from "../models/container.js"
+import stowageRules from "./stowage-rules-service.js"
 
 /**
  * Service for handling import and export operations
@@ -49,13 +50,65 @@ class ImportExportService {
             height: Number.parseFloat(record.Height),
             mass: record.Mass ? Number.parseFloat(record.Mass) : 0,
             priority: record.Priority ? Number.parseInt(record.Priority) : 0,
-            expiryDate: record.ExpiryDate || null,
-            usageLimit: record.UsageLimit ? Number.parseInt(record.UsageLimit) : null,
+            // "N/A" marks items that never expire or have no usage limit
+            expiryDate: record.ExpiryDate && record.ExpiryDate !== "N/A" ? record.ExpiryDate : null,
+            usageLimit: record.UsageLimit && record.UsageLimit !== "N/A" ? Number.parseInt(record.UsageLimit) : null,
             preferredZone: record.PreferredZone || null,
+            thisSideUp: ["true", "yes", "1"].includes(String(record.ThisSideUp).trim().toLowerCase()),
+            hazardClass: record.HazardClass || null,
+            quantity: record.Quantity && record.Quantity !== "N/A" ? Number.parseFloat(record.Quantity) : null,
+            unit: record.Unit || null,
           })
 
+          // Validate the hazard class against the rules table
+          if (!stowageRules.isKnownHazardClass(item.hazardClass)) {
+            errors.push({
+              row: index + 2,
+              message: `Unknown hazard class: ${item.hazardClass}`,
+            })
+            return
+          }
+
+          // A re-imported item keeps its place, in its slot or in the crew's hands
+          const existingItem = db.getItem(item.itemId)
+          if (existingItem) {
+            item.heldBy = existingItem.heldBy
+          }
+
+          // In its slot it must still fit and respect the segregation rules
+          const container = existingItem && db.getContainer(existingItem.containerId)
+          let updatedContainer = null
+          if (container) {
+            const orientation = Item.getOrientationForPosition(item, existingItem.position)
+            const violation = orientation
+              ? stowageRules.getHazardViolation(container, item, existingItem.position)
+              : `Item ${item.itemId} no longer fits its slot in container ${container.containerId}`
+            if (violation) {
+              errors.push({
+                row: index + 2,
+                message: violation,
+              })
+              return
+            }
+
+            item.containerId = container.containerId
+            item.position = existingItem.position
+            item.orientation = orientation
+
+            // The container's entry is a copy of the item, refresh it too
+            updatedContainer = container.clone()
+            updatedContainer.items = updatedContainer.items.map((entry) =>
+              entry.itemId === item.itemId ? { ...item, position: entry.position } : entry,
+            )
+          }
+
           // Add the item to the database
-          db.addItem(item)
+          db.transaction(() => {
+            db.addItem(item)
+            if (updatedContainer) {
+              db.updateContainer(updatedContainer)
+            }
+          })
           itemsImported++
         } catch (error) {
           errors.push({
@@ -121,6 +174,16 @@ class ImportExportService {
             width: Number.parseFloat(record.Width),
             depth: Number.parseFloat(record.Depth),
             height: Number.parseFloat(record.Height),
+            maxLoad: record.MaxLoad ? Number.parseFloat(record.MaxLoad) : null,
+            maxStackLoad: record.MaxStackLoad ? Number.parseFloat(record.MaxStackLoad) : null,
+            stationCoordinates:
+              record.StationWidth && record.StationDepth && record.StationHeight
+                ? {
+                    width: Number.parseFloat(record.StationWidth),
+                    depth: Number.parseFloat(record.StationDepth),
+                    height: Number.parseFloat(record.StationHeight),
+                  }
+                : null,
           })
 
           // Add the container to the database
@@ -0,0 +1,119 @@
+import db from "./database.js"
+import { ModelValidationError } from "../models/errors.js"
+
+/**
+ * Service for checking the consistency of the stored state
+ */
+class IntegrityService {
+  /**
+   * Scan every item and container for broken invariants
+   * @returns {Object} - Whether the state is consistent, and every violation found
+   */
+  getIntegrityReport() {
+    const violations = []
+    const add = (type, ids, message) => violations.push({ type, ...ids, message })
+
+    // Items and containers may have been changed since they were built, so check them again
+    for (const item of db.getAllItems()) {
+      const error = this.findInvariantError(() => item.validate(item.mass))
+      if (error) {
+        add("invariant", { itemId: item.itemId, field: error.field }, error.message)
+      }
+    }
+    for (const container of db.getAllContainers()) {
+      const error = this.findInvariantError(() => container.validate())
+      if (error) {
+        add("invariant", { containerId: container.containerId, field: error.field }, error.message)
+      }
+    }
+
+    // Every stowed item must be listed by its container, at the same position
+    for (const item of db.getAllItems()) {
+      if (!item.containerId) continue
+
+      const container = db.getContainer(item.containerId)
+      if (!container) {
+        add(
+          "orphanItem",
+          { itemId: item.itemId, containerId: item.containerId },
+          `Item ${item.itemId} is in container ${item.containerId}, which does not exist`,
+        )
+        continue
+      }
+
+      const entry = container.findItem(item.itemId)
+      if (!entry) {
+        add(
+          "containerMismatch",
+          { itemId: item.itemId, containerId: container.containerId },
+          `Item ${item.itemId} says it is in container ${container.containerId}, which does not list it`,
+        )
+      } else if (JSON.stringify(entry.position) !== JSON.stringify(item.position)) {
+        add(
+          "positionMismatch",
+          { itemId: item.itemId, containerId: container.containerId },
+          `Item ${item.itemId} and container ${container.containerId} disagree on its position`,
+        )
+      }
+    }
+
+    // Every item a container lists must exist, belong to it and not overlap another
+    for (const container of db.getAllContainers()) {
+      for (const entry of container.items) {
+        const item = db.getItem(entry.itemId)
+        if (!item) {
+          add(
+            "orphanEntry",
+            { itemId: entry.itemId, containerId: container.containerId },
+            `Container ${container.containerId} lists item ${entry.itemId}, which does not exist`,
+          )
+        } else if (item.containerId !== container.containerId) {
+          add(
+            "containerMismatch",
+            { itemId: entry.itemId, containerId: container.containerId },
+            `Container ${container.containerId} lists item ${entry.itemId}, which says it is in ${item.containerId || "no container"}`,
+          )
+        }
+      }
+
+      for (let i = 0; i < container.items.length; i++) {
+        for (let j = i + 1; j < container.items.length; j++) {
+          const a = container.items[i]
+          const b = container.items[j]
+          if (a.position && b.position && container.itemsOverlap(a.position, b.position)) {
+            add(
+              "overlap",
+              { containerId: container.containerId, itemIds: [a.itemId, b.itemId] },
+              `Items ${a.itemId} and ${b.itemId} overlap in container ${container.containerId}`,
+            )
+          }
+        }
+      }
+    }
+
+    return {
+      success: true,
+      consistent: violations.length === 0,
+      violations,
+    }
+  }
+
+  /**
+   * Run a validation and return the invariant error it raises, if any
+   * @param {Function} validation - The validation to run
+   * @returns {ModelValidationError|null} - The error, or null if the validation passed
+   */
+  findInvariantError(validation) {
+    try {
+      validation()
+      return null
+    } catch (error) {
+      if (error instanceof ModelValidationError) {
+        return error
+      }
+      throw error
+    }
+  }
+}
+
+export default new IntegrityService()
@@ -0,0 +1,149 @@
+import fs from "fs"
+import path from "path"
+
+/**
+ * File-backed storage backend for the database service
+ * Every mutation is appended to a JSON-lines journal on local disk and the
+ * journal is replayed on startup to rebuild the state
+ */
+class JournalStore {
+  /**
+   * @param {string} filePath - The path of the journal file
+   */
+  constructor(filePath) {
+    this.filePath = filePath
+  }
+
+  /**
+   * Load the persisted state by replaying the journal
+   * @returns {Object|null} - Plain item, container, log, return plan and undocking records, or null if there is no journal
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null
+    }
+
+    const state = {
+      items: new Map(),
+      containers: new Map(),
+      logs: [],
+      currentDate: null,
+      returnPlans: new Map(),
+      undockings: new Map(),
+    }
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n")
+    for (const line of lines) {
+      if (!line.trim()) continue
+
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        // A crash in the middle of an append leaves a truncated last line, skip it
+        continue
+      }
+
+      this.apply(state, entry)
+    }
+
+    return {
+      items: Array.from(state.items.values()),
+      containers: Array.from(state.containers.values()),
+      logs: state.logs,
+      currentDate: state.currentDate,
+      returnPlans: Array.from(state.returnPlans.values()),
+      undockings: Array.from(state.undockings.values()),
+    }
+  }
+
+  /**
+   * Apply a single journal entry to the state being rebuilt
+   * @param {Object} state - The state being rebuilt
+   * @param {Object} entry - The journal entry
+   */
+  apply(state, { op, data }) {
+    switch (op) {
+      case "snapshot":
+        state.items = new Map(data.items.map((item) => [item.itemId, item]))
+        state.containers = new Map(data.containers.map((container) => [container.containerId, container]))
+        state.logs = [...data.logs]
+        state.currentDate = data.currentDate
+        // Snapshots written before return plans and undockings were tracked have none
+        state.returnPlans = new Map((data.returnPlans || []).map((plan) => [plan.undockingContainerId, plan]))
+        state.undockings = new Map((data.undockings || []).map((undocking) => [undocking.undockingId, undocking]))
+        break
+      case "putItem":
+        state.items.set(data.itemId, data)
+        break
+      case "removeItem":
+        state.items.delete(data.itemId)
+        break
+      case "putContainer":
+        state.containers.set(data.containerId, data)
+        break
+      case "removeContainer":
+        state.containers.delete(data.containerId)
+        break
+      case "addLog":
+        state.logs.push(data)
+        break
+      case "putReturnPlan":
+        state.returnPlans.set(data.undockingContainerId, data)
+        break
+      case "removeReturnPlan":
+        state.returnPlans.delete(data.undockingContainerId)
+        break
+      case "putUndocking":
+        state.undockings.set(data.undockingId, data)
+        break
+      case "setCurrentDate":
+        state.currentDate = data.currentDate
+        break
+      case "batch":
+        // A transaction is written as one line, so it is replayed completely or not at all
+        data.forEach((record) => this.apply(state, record))
+        break
+      case "clear":
+        state.items.clear()
+        state.containers.clear()
+        state.logs = []
+        state.currentDate = null
+        state.returnPlans.clear()
+        state.undockings.clear()
+        break
+    }
+  }
+
+  /**
+   * Append a mutation of the database state to the journal
+   * @param {string} op - The operation name
+   * @param {*} data - The operation payload
+   */
+  record(op, data) {
+    this.ensureDirectory()
+    fs.appendFileSync(this.filePath, JSON.stringify({ op, data }) + "\n")
+  }
+
+  /**
+   * Replace the journal with a single snapshot of the current state
+   * @param {Object} state - The full database state
+   */
+  compact(state) {
+    this.ensureDirectory()
+
+    // Write to a temporary file first so a crash never leaves a half-written journal
+    const tempPath = `${this.filePath}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify({ op: "snapshot", data: state }) + "\n")
+    fs.renameSync(tempPath, this.filePath)
+  }
+
+  /**
+   * Create the directory holding the journal if it does not exist yet
+   */
+  ensureDirectory() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+  }
+}
+
+export default JournalStore
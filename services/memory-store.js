@@ -0,0 +1,28 @@
+/**
+ * In-memory storage backend for the database service
+ * Nothing is written anywhere, so all state is lost when the process exits
+ */
+class MemoryStore {
+  /**
+   * Load the persisted state
+   * @returns {Object|null} - Always null, there is nothing to restore
+   */
+  load() {
+    return null
+  }
+
+  /**
+   * Record a mutation of the database state
+   * @param {string} op - The operation name
+   * @param {*} data - The operation payload
+   */
+  record(op, data) {}
+
+  /**
+   * Replace the persisted history with a snapshot of the current state
+   * @param {Object} state - The full database state
+   */
+  compact(state) {}
+}
+
+export default MemoryStore
@@ -0,0 +1,346 @@
+import Item from "../models/item.js"
+import stowageRules from "./stowage-rules-service.js"
+
+/**
+ * Packing strategies selectable per placement request
+ * - comparePoints orders the candidate points tried inside a container
+ * - compareOrientations orders the orientations tried at each point
+ * - scoreFit ranks fits in different containers (lower is better), null means
+ *   the first container with a fit wins
+ * - frame is the wall the points grow from: "front" is the open face (depth 0),
+ *   "back" mirrors the depth axis so items are packed against the rear wall
+ */
+const STRATEGIES = {
+  "first-fit": {
+    comparePoints: (a, b) => a.height - b.height || a.depth - b.depth || a.width - b.width,
+    compareOrientations: null,
+    scoreFit: null,
+    frame: "front",
+  },
+  "best-fit": {
+    comparePoints: (a, b) => a.height - b.height || a.depth - b.depth || a.width - b.width,
+    compareOrientations: null,
+    // Prefer the container left with the least free volume, i.e. the tightest fit
+    scoreFit: (item, container) => container.getAvailableVolume(),
+    frame: "front",
+  },
+  "min-retrieval-depth": {
+    comparePoints: (a, b) => a.depth - b.depth || a.height - b.height || a.width - b.width,
+    compareOrientations: (a, b) => a.depth - b.depth,
+    // Prefer the container where the item sits closest to the open face
+    scoreFit: (item, container, fit) => fit.position.startCoordinates.depth,
+    frame: "front",
+  },
+  "deep-stowage": {
+    comparePoints: (a, b) => a.depth - b.depth || a.height - b.height || a.width - b.width,
+    compareOrientations: (a, b) => a.depth - b.depth,
+    // Keep long-term stowage together in the fullest containers, as far back as possible
+    scoreFit: (item, container) => container.getAvailableVolume(),
+    frame: "back",
+  },
+}
+
+const DEFAULT_STRATEGY = "first-fit"
+
+/**
+ * 3D bin-packing engine based on extreme points
+ * Candidate positions are the corners created by items already in a container,
+ * projected down onto the floor or the item below, instead of every unit step
+ */
+class PackingEngine {
+  constructor() {
+    // Extreme points per container and frame, rebuilt when the container's items change
+    this.cache = new WeakMap()
+  }
+
+  /**
+   * Get the names of the available strategies
+   * @returns {Array} - The strategy names
+   */
+  getStrategies() {
+    return Object.keys(STRATEGIES)
+  }
+
+  /**
+   * Find a position for an item in a single container
+   * @param {Object} item - The item to place
+   * @param {Container} container - The container to place in
+   * @param {string} strategy - The strategy name
+   * @returns {Object|null} - The position and orientation, or null if not possible
+   */
+  findPosition(item, container, strategy = DEFAULT_STRATEGY) {
+    const { comparePoints, compareOrientations, frame } = STRATEGIES[strategy] || STRATEGIES[DEFAULT_STRATEGY]
+
+    // Keep only the orientations that fit in the container at all
+    const orientations = Item.getOrientations(item).filter(
+      (extents) =>
+        extents.width <= container.width && extents.depth <= container.depth && extents.height <= container.height,
+    )
+    if (orientations.length === 0) {
+      return null
+    }
+
+    // Cheap rejections before looking at any point
+    if (orientations[0].width * orientations[0].depth * orientations[0].height > container.getAvailableVolume()) {
+      return null
+    }
+    const mass = item.mass || 0
+    if (mass > container.getAvailableLoad()) {
+      return null
+    }
+
+    // An item of the same hazard class at least as large and heavy as one that already failed here cannot fit either
+    const hazardClass = item.hazardClass || null
+    const entry = this.getCacheEntry(container, frame)
+    const size = this.getSortedExtents(item)
+    const isCovered = (failed) =>
+      failed.hazardClass === hazardClass && failed.mass <= mass && failed.size.every((extent, i) => extent <= size[i])
+    if (entry.failures.some(isCovered)) {
+      return null
+    }
+
+    if (compareOrientations) {
+      orientations.sort(compareOrientations)
+    }
+
+    const points = entry.points
+    points.sort(comparePoints)
+
+    // A larger item may be better supported than a smaller one, so support rejections
+    // keep this attempt out of the failure cache
+    let rejectedForSupport = false
+
+    for (const point of points) {
+      for (const extents of orientations) {
+        const position = this.toFrame(
+          {
+            startCoordinates: { width: point.width, depth: point.depth, height: point.height },
+            endCoordinates: {
+              width: point.width + extents.width,
+              depth: point.depth + extents.depth,
+              height: point.height + extents.height,
+            },
+          },
+          container,
+          frame,
+        )
+
+        // The extents come from the item's own orientations, so only the space, load and support need checking
+        if (
+          !container.isSpaceFree(position) ||
+          container.getLoadViolation(item, position) !== null ||
+          stowageRules.getHazardViolation(container, item, position) !== null
+        ) {
+          continue
+        }
+        if (stowageRules.getSupportViolation(container, item, position) !== null) {
+          rejectedForSupport = true
+          continue
+        }
+
+        return { position, orientation: extents.orientation }
+      }
+    }
+
+    // Only items free to rotate every way say anything about larger items
+    if (!item.thisSideUp && !rejectedForSupport) {
+      entry.failures.push({ size, mass, hazardClass })
+    }
+
+    return null
+  }
+
+  /**
+   * Get an item's extents sorted from smallest to largest
+   * @param {Object} item - The item
+   * @returns {Array} - The three extents in ascending order
+   */
+  getSortedExtents(item) {
+    return [item.width, item.depth, item.height].sort((a, b) => a - b)
+  }
+
+  /**
+   * Find a position for an item across several containers
+   * @param {Object} item - The item to place
+   * @param {Array} containers - The candidate containers, in order of preference
+   * @param {string} strategy - The strategy name
+   * @returns {Object|null} - The container, position and orientation, or null if not possible
+   */
+  findPlacement(item, containers, strategy = DEFAULT_STRATEGY) {
+    const { scoreFit } = STRATEGIES[strategy] || STRATEGIES[DEFAULT_STRATEGY]
+    let best = null
+    let bestScore = Infinity
+
+    for (const container of containers) {
+      const fit = this.findPosition(item, container, strategy)
+      if (!fit) continue
+
+      // First fit stops at the first container that has room
+      if (!scoreFit) {
+        return { container, ...fit }
+      }
+
+      const score = scoreFit(item, container, fit)
+      if (score < bestScore) {
+        best = { container, ...fit }
+        bestScore = score
+      }
+    }
+
+    return best
+  }
+
+  /**
+   * Convert a position between container coordinates and a packing frame
+   * The conversion is its own inverse
+   * @param {Object} position - The position to convert
+   * @param {Container} container - The container
+   * @param {string} frame - "front" or "back"
+   * @returns {Object} - The converted position
+   */
+  toFrame(position, container, frame) {
+    if (frame !== "back") {
+      return position
+    }
+
+    // Round away the floating point noise introduced by mirroring
+    const mirror = (depth) => Math.round((container.depth - depth) * 1e9) / 1e9
+    const { startCoordinates: start, endCoordinates: end } = position
+
+    return {
+      startCoordinates: { ...start, depth: mirror(end.depth) },
+      endCoordinates: { ...end, depth: mirror(start.depth) },
+    }
+  }
+
+  /**
+   * Get the cached extreme points of a container and the sizes and masses known not to fit,
+   * reusing the cached points when only items were appended since the last call
+   * @param {Container} container - The container
+   * @param {string} frame - The packing frame the points are expressed in
+   * @returns {Object} - The cache entry with points and failures
+   */
+  getCacheEntry(container, frame = "front") {
+    if (!this.cache.has(container)) {
+      this.cache.set(container, new Map())
+    }
+    const frames = this.cache.get(container)
+    let entry = frames.get(frame)
+
+    // Rebuild from scratch if items were removed, replaced or reassigned
+    if (
+      !entry ||
+      entry.items !== container.items ||
+      entry.count > container.items.length ||
+      (entry.count > 0 && entry.last !== container.items[entry.count - 1])
+    ) {
+      entry = {
+        frame,
+        items: container.items,
+        count: 0,
+        last: null,
+        points: [{ width: 0, depth: 0, height: 0 }],
+        failures: [],
+      }
+      frames.set(frame, entry)
+    }
+
+    // Add the corners of every item appended since the last call
+    if (entry.count < container.items.length) {
+      for (let i = entry.count; i < container.items.length; i++) {
+        this.addItemPoints(entry, container, container.items[i])
+      }
+      entry.count = container.items.length
+      entry.last = container.items[entry.count - 1]
+      entry.failures = []
+    }
+
+    return entry
+  }
+
+  /**
+   * Update a point set for a newly added item
+   * @param {Object} entry - The cache entry holding the points
+   * @param {Container} container - The container
+   * @param {Object} placedItem - The item with its position
+   */
+  addItemPoints(entry, container, placedItem) {
+    const { startCoordinates: start, endCoordinates: end } = this.toFrame(placedItem.position, container, entry.frame)
+
+    // Points now covered by the item can never be used again
+    entry.points = entry.points.filter(
+      (point) =>
+        !(
+          point.width >= start.width &&
+          point.width < end.width &&
+          point.depth >= start.depth &&
+          point.depth < end.depth &&
+          point.height >= start.height &&
+          point.height < end.height
+        ),
+    )
+
+    const corners = [
+      { width: end.width, depth: start.depth, height: start.height },
+      { width: start.width, depth: end.depth, height: start.height },
+      { width: start.width, depth: start.depth, height: end.height },
+    ]
+
+    for (const corner of corners) {
+      if (corner.width >= container.width || corner.depth >= container.depth || corner.height >= container.height) {
+        continue
+      }
+
+      this.addPoint(entry, corner)
+
+      // Also offer the corner dropped onto whatever lies beneath it
+      const projected = { ...corner, height: this.projectDown(container, corner, entry.frame) }
+      if (projected.height !== corner.height) {
+        this.addPoint(entry, projected)
+      }
+    }
+  }
+
+  /**
+   * Add a point to a point set unless it is already there
+   * @param {Object} entry - The cache entry holding the points
+   * @param {Object} point - The point to add
+   */
+  addPoint(entry, point) {
+    const exists = entry.points.some(
+      (other) => other.width === point.width && other.depth === point.depth && other.height === point.height,
+    )
+    if (!exists) {
+      entry.points.push(point)
+    }
+  }
+
+  /**
+   * Find the height a point would drop to: the floor or the top of the highest item below it
+   * @param {Container} container - The container
+   * @param {Object} point - The point to project
+   * @param {string} frame - The packing frame the point is expressed in
+   * @returns {number} - The projected height
+   */
+  projectDown(container, point, frame) {
+    let height = 0
+
+    for (const placedItem of container.items) {
+      const { startCoordinates: start, endCoordinates: end } = this.toFrame(placedItem.position, container, frame)
+      if (
+        point.width >= start.width &&
+        point.width < end.width &&
+        point.depth >= start.depth &&
+        point.depth < end.depth &&
+        end.height <= point.height &&
+        end.height > height
+      ) {
+        height = end.height
+      }
+    }
+
+    return height
+  }
+}
+
+export default new PackingEngine()
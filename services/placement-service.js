@@ -1,5 +1,13 @@
 import db from "./database.js"
 import Container from "../models/container.js"
+import Item from "../models/item.js"
+import Log from "../models/log.js"
+import packingEngine from "./packing-engine.js"
+import balanceService from "./balance-service.js"
+import stowageRules from "./stowage-rules-service.js"
+import retrievalPlanner from "./retrieval-planner.js"
+
+const DEFAULT_STRATEGY = "accessibility"
 
 /**
  * Service for handling item placement and rearrangement
@@ -9,159 +17,369 @@ class PlacementService {
    * Find the optimal placement for a set of items in available containers
    * @param {Array} items - The items to place
    * @param {Array} containers - The available containers
+   * @param {string} strategy - The packing strategy, one of getStrategies()
+   * @param {Object} zoneMassBounds - Zone name to { min, max } mass in kg that placement tries to respect
    * @returns {Object} - Placement recommendations and rearrangements
    */
-  findOptimalPlacement(items, containers) {
+  findOptimalPlacement(items, containers, strategy = DEFAULT_STRATEGY, zoneMassBounds = {}) {
     // Sort items by priority (highest first)
     const sortedItems = [...items].sort((a, b) => b.priority - a.priority)
+    const itemStrategies = this.resolveItemStrategies(sortedItems, strategy)
+
+    // Clone containers to work with, keeping the items already stowed in them
+    // so new placements never collide with cargo on board. Items of the request that are
+    // already stowed are placed again, so their current slots count as free. Containers
+    // sealed for undocking are left out, they take nothing more.
+    const requestedIds = new Set(items.map((item) => item.itemId))
+    const withoutRequested = (container) =>
+      new Container({
+        ...container,
+        items: (container.items || [])
+          .filter((containerItem) => !requestedIds.has(containerItem.itemId))
+          .map((containerItem) => ({ ...containerItem })),
+      })
 
-    // Clone containers to work with
     const containerMap = new Map()
     containers.forEach((container) => {
-      containerMap.set(
-        container.containerId,
-        new Container({
-          ...container,
-          items: [],
-        }),
-      )
+      if (!db.getSealedUndocking(container.containerId)) {
+        containerMap.set(container.containerId, withoutRequested(container))
+      }
     })
 
     const placements = []
     const rearrangements = []
     const unplacedItems = []
 
+    // Mass per zone across the whole station, including stored containers not in this request
+    const zoneMasses = balanceService.getZoneMasses([
+      ...db
+        .getAllContainers()
+        .filter((container) => !containerMap.has(container.containerId))
+        .map((container) =>
+          container.items.some((containerItem) => requestedIds.has(containerItem.itemId))
+            ? withoutRequested(container)
+            : container,
+        ),
+      ...containerMap.values(),
+    ])
+
     // First pass: try to place items in their preferred zones
     for (const item of sortedItems) {
-      let placed = false
-
-      // Get containers in the preferred zone
-      const preferredContainers = Array.from(containerMap.values()).filter(
-        (container) => container.zone === item.preferredZone,
-      )
-
-      // Try to place in preferred zone
-      for (const container of preferredContainers) {
-        const position = this.findPositionInContainer(item, container)
-        if (position) {
-          placements.push({
-            itemId: item.itemId,
-            containerId: container.containerId,
-            position,
-          })
-
-          // Update container with the new item
-          container.addItem(item, position)
-          placed = true
-          break
-        }
-      }
+      let fit = null
 
-      // If not placed in preferred zone, try any zone
-      if (!placed) {
-        const allContainers = Array.from(containerMap.values()).filter(
-          (container) => container.zone !== item.preferredZone,
-        )
-
-        for (const container of allContainers) {
-          const position = this.findPositionInContainer(item, container)
-          if (position) {
-            placements.push({
-              itemId: item.itemId,
-              containerId: container.containerId,
-              position,
-            })
-
-            // Update container with the new item
-            container.addItem(item, position)
-            placed = true
-            break
-          }
-        }
+      // Try each group of containers in order until one has room
+      const containerGroups = this.getContainerGroups(item, containerMap, zoneMasses, zoneMassBounds)
+      for (const group of containerGroups) {
+        fit = packingEngine.findPlacement(item, group, itemStrategies.get(item.itemId))
+        if (fit) break
       }
 
       // If still not placed, add to unplaced items
-      if (!placed) {
+      if (!fit) {
         unplacedItems.push(item)
+        continue
       }
+
+      placements.push({
+        itemId: item.itemId,
+        containerId: fit.container.containerId,
+        position: fit.position,
+        orientation: fit.orientation,
+      })
+
+      // Update container with the new item
+      fit.container.addItem(item, fit.position)
+      zoneMasses.set(fit.container.zone, (zoneMasses.get(fit.container.zone) || 0) + (item.mass || 0))
     }
 
     // Second pass: try to rearrange to fit unplaced items
     if (unplacedItems.length > 0) {
-      const rearrangementResult = this.rearrangeForUnplacedItems(unplacedItems, containerMap)
+      const rearrangementResult = this.rearrangeForUnplacedItems(unplacedItems, containerMap, itemStrategies)
       placements.push(...rearrangementResult.placements)
       rearrangements.push(...rearrangementResult.rearrangements)
     }
 
+    // Report how many items will have to be moved to reach each placed item in the final layout
+    for (const placement of placements) {
+      placement.retrievalSteps = containerMap.get(placement.containerId).getRetrievalSteps(placement.itemId)
+    }
+
     return {
       success: unplacedItems.length === 0 || rearrangements.length > 0,
       placements,
       rearrangements,
+      stepSchemaVersion: retrievalPlanner.getSchemaVersion(),
     }
   }
 
   /**
-   * Find a position for an item in a container
-   * @param {Object} item - The item to place
-   * @param {Container} container - The container to place in
-   * @returns {Object|null} - The position or null if not possible
+   * Apply a placement plan to the database atomically
+   * Placements and rearrangement steps are replayed on copies of the affected
+   * items and containers; if any step cannot be applied nothing is changed
+   * @param {Object} plan - The result of findOptimalPlacement
+   * @param {Array} items - The items the plan places
+   * @param {Array} containers - The containers the plan was made for
+   * @param {string} userId - The user committing the plan
+   * @param {string} timestamp - The timestamp of the commit
+   * @returns {Object} - The result of the commit
    */
-  findPositionInContainer(item, container) {
-    // Simple first-fit algorithm
-    // In a real implementation, this would be more sophisticated
+  commitPlacement(plan, items, containers, userId, timestamp) {
+    try {
+      db.transaction(() => this.applyPlan(plan, items, containers, userId, timestamp))
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message,
+      }
+    }
 
-    // Check if the item fits in the container at all
-    if (item.width > container.width || item.depth > container.depth || item.height > container.height) {
-      return null
+    return {
+      success: true,
     }
+  }
 
-    // Try to place at the bottom of the container
-    // This is a simplified approach - a real implementation would be more complex
-
-    // Start at the origin (0,0,0)
-    let x = 0
-    let y = 0
-    let z = 0
-
-    // Check if the position is valid
-    while (z + item.height <= container.height) {
-      while (y + item.depth <= container.depth) {
-        while (x + item.width <= container.width) {
-          const position = {
-            startCoordinates: { width: x, depth: y, height: z },
-            endCoordinates: { width: x + item.width, depth: y + item.depth, height: z + item.height },
-          }
+  /**
+   * Apply the steps of a placement plan, throwing on the first one that cannot be applied
+   * Must run inside a database transaction
+   * @param {Object} plan - The result of findOptimalPlacement
+   * @param {Array} items - The items the plan places
+   * @param {Array} containers - The containers the plan was made for
+   * @param {string} userId - The user committing the plan
+   * @param {string} timestamp - The timestamp of the commit
+   */
+  applyPlan(plan, items, containers, userId, timestamp) {
+    const newItems = new Map(items.map((item) => [item.itemId, item]))
+    const workingItems = new Map()
+    const workingContainers = new Map()
+    const logs = []
+
+    // Items removed by a rearrangement step, mapped to the container they came from
+    const inTransit = new Map()
+
+    // Work on copies so a failed step leaves the stored objects untouched
+    const getItem = (itemId) => {
+      if (!workingItems.has(itemId)) {
+        const stored = db.getItem(itemId)
+        const item = newItems.get(itemId) || stored
+        if (!item) {
+          throw new Error(`Item ${itemId} not found`)
+        }
 
-          if (container.canFitItem(item, position)) {
-            return position
-          }
+        // A re-submitted item that is already stowed is still in its slot until it is taken out
+        const workingItem = item.clone()
+        if (item !== stored && stored && stored.containerId) {
+          workingItem.containerId = stored.containerId
+          workingItem.position = stored.position
+          workingItem.orientation = stored.orientation
+        }
+        workingItems.set(itemId, workingItem)
+      }
+      return workingItems.get(itemId)
+    }
+
+    const getContainer = (containerId) => {
+      if (!workingContainers.has(containerId)) {
+        const container =
+          containers.find((candidate) => candidate.containerId === containerId) || db.getContainer(containerId)
+        if (!container) {
+          throw new Error(`Container ${containerId} not found`)
+        }
+        workingContainers.set(containerId, container.clone())
+      }
+      return workingContainers.get(containerId)
+    }
+
+    // Nothing goes into or out of a container sealed for undocking
+    const refuseSealed = (containerId) => {
+      const undocking = db.getSealedUndocking(containerId)
+      if (undocking) {
+        throw new Error(`Container ${containerId} is sealed for undocking ${undocking.undockingId}`)
+      }
+    }
 
-          x += 1 // Try the next position along the width
+    const takeOut = (item) => {
+      if (item.containerId && (workingContainers.has(item.containerId) || db.getContainer(item.containerId))) {
+        refuseSealed(item.containerId)
+        getContainer(item.containerId).removeItem(item.itemId)
+      }
+      item.containerId = null
+      item.position = null
+      item.orientation = null
+    }
+
+    const putIn = (item, containerId, position) => {
+      refuseSealed(containerId)
+      const container = getContainer(containerId)
+      const violation = stowageRules.getPlacementViolation(container, item, position)
+      if (violation) {
+        throw new Error(violation)
+      }
+      if (!container.canFitItem(item, position)) {
+        throw new Error(`Item ${item.itemId} cannot be placed in container ${containerId} at the planned position`)
+      }
+
+      item.containerId = containerId
+      item.position = position
+      item.orientation = Item.getOrientationForPosition(item, position)
+      item.heldBy = null
+      container.addItem(item, position)
+    }
+
+    // Every container in the request is stored, even if nothing was placed in it
+    containers.forEach((container) => getContainer(container.containerId))
+
+    // Direct placements go first, they were planned before any rearrangement
+    const steppedItemIds = new Set(
+      plan.rearrangements.filter((step) => step.action === "place").map((step) => step.itemId),
+    )
+    for (const placement of plan.placements) {
+      if (steppedItemIds.has(placement.itemId)) continue
+
+      const item = getItem(placement.itemId)
+      takeOut(item)
+      putIn(item, placement.containerId, placement.position)
+      logs.push(Log.createPlacementLog(userId, item.itemId, placement.containerId))
+    }
+
+    const steps = [...plan.rearrangements].sort((a, b) => a.step - b.step)
+    for (const step of steps) {
+      const item = getItem(step.itemId)
+
+      if (step.action === "remove") {
+        if (item.containerId !== step.fromContainer) {
+          throw new Error(`Item ${item.itemId} is not in container ${step.fromContainer}`)
+        }
+        takeOut(item)
+        inTransit.set(item.itemId, step.fromContainer)
+      } else if (step.action === "place") {
+        const fromContainer = inTransit.get(item.itemId)
+        takeOut(item)
+        putIn(item, step.toContainer, step.toPosition)
+
+        // Stowed items that were moved are rearrangements, new items are placements
+        if (fromContainer) {
+          inTransit.delete(item.itemId)
+          logs.push(Log.createRearrangementLog(userId, item.itemId, fromContainer, step.toContainer))
+        } else {
+          logs.push(Log.createPlacementLog(userId, item.itemId, step.toContainer))
         }
-        x = 0 // Reset x
-        y += 1 // Move to the next position along the depth
+      } else {
+        throw new Error(`Unknown rearrangement action: ${step.action}`)
       }
-      y = 0 // Reset y
-      z += 1 // Move to the next position along the height
     }
 
-    // If we get here, the item doesn't fit
-    return null
+    if (inTransit.size > 0) {
+      throw new Error(`Items removed but never placed back: ${Array.from(inTransit.keys()).join(", ")}`)
+    }
+
+    // Every step applied cleanly, write the results
+    workingContainers.forEach((container) => db.updateContainer(container))
+    workingItems.forEach((item) => db.updateItem(item))
+    logs.forEach((log) => {
+      if (timestamp) {
+        log.timestamp = new Date(timestamp)
+      }
+      db.addLog(log)
+    })
+  }
+
+  /**
+   * Order the containers an item may go into, as groups tried one after another
+   * The preferred zone comes before the other zones. When zone mass bounds are
+   * given, zones the item would push over their maximum are only tried last, and
+   * among the other zones those still below their minimum come first.
+   * @param {Object} item - The item to place
+   * @param {Map} containerMap - Map of containers
+   * @param {Map} zoneMasses - Map of zone to current mass in kg
+   * @param {Object} zoneMassBounds - Zone name to { min, max } mass in kg
+   * @returns {Array} - Array of container arrays
+   */
+  getContainerGroups(item, containerMap, zoneMasses, zoneMassBounds) {
+    const allContainers = Array.from(containerMap.values())
+    const preferred = allContainers.filter((container) => container.zone === item.preferredZone)
+    const others = allContainers.filter((container) => container.zone !== item.preferredZone)
+
+    if (Object.keys(zoneMassBounds).length === 0) {
+      return [preferred, others]
+    }
+
+    const fitsBounds = (container) => {
+      const bounds = zoneMassBounds[container.zone]
+      const mass = (zoneMasses.get(container.zone) || 0) + (item.mass || 0)
+      return !bounds || bounds.max === undefined || bounds.max === null || mass <= bounds.max
+    }
+    const isUnderMin = (container) => {
+      const bounds = zoneMassBounds[container.zone]
+      return Boolean(
+        bounds && bounds.min !== undefined && bounds.min !== null && (zoneMasses.get(container.zone) || 0) < bounds.min,
+      )
+    }
+
+    const othersWithinBounds = others.filter(fitsBounds)
+
+    return [
+      preferred.filter(fitsBounds),
+      othersWithinBounds.filter(isUnderMin),
+      othersWithinBounds.filter((container) => !isUnderMin(container)),
+      preferred.filter((container) => !fitsBounds(container)),
+      others.filter((container) => !fitsBounds(container)),
+    ].filter((group) => group.length > 0)
+  }
+
+  /**
+   * Get the names of the packing strategies a placement request can choose from
+   * @returns {Array} - The strategy names
+   */
+  getStrategies() {
+    return [DEFAULT_STRATEGY, ...packingEngine.getStrategies()]
+  }
+
+  /**
+   * Decide which packing engine strategy places each item
+   * The accessibility strategy sends items in frequent demand to unobstructed slots
+   * near the open face and long-term stowage to the back of the containers
+   * @param {Array} items - The items to place
+   * @param {string} strategy - The requested strategy
+   * @returns {Map} - Map of itemId to packing engine strategy
+   */
+  resolveItemStrategies(items, strategy) {
+    const itemStrategies = new Map()
+
+    if (strategy !== DEFAULT_STRATEGY) {
+      items.forEach((item) => itemStrategies.set(item.itemId, strategy))
+      return itemStrategies
+    }
+
+    return retrievalPlanner.assignAccessStrategies(items)
+  }
+
+  /**
+   * Find a position for an item in a container
+   * Every allowed orientation of the item is tried at each extreme point
+   * @param {Object} item - The item to place
+   * @param {Container} container - The container to place in
+   * @param {string} strategy - The packing strategy
+   * @returns {Object|null} - The position and orientation, or null if not possible
+   */
+  findPositionInContainer(item, container, strategy) {
+    return packingEngine.findPosition(item, container, strategy)
   }
 
   /**
    * Rearrange containers to fit unplaced items
    * @param {Array} unplacedItems - Items that couldn't be placed
    * @param {Map} containerMap - Map of containers
+   * @param {Map} itemStrategies - Map of itemId to packing engine strategy
    * @returns {Object} - Placements and rearrangements
    */
-  rearrangeForUnplacedItems(unplacedItems, containerMap) {
+  rearrangeForUnplacedItems(unplacedItems, containerMap, itemStrategies) {
     const placements = []
     const rearrangements = []
-    let step = 1
 
     // For each unplaced item, try to rearrange containers
     for (const item of unplacedItems) {
+      let placed = false
+
       // Get all containers sorted by available volume (largest first)
       const sortedContainers = Array.from(containerMap.values()).sort(
         (a, b) => b.getAvailableVolume() - a.getAvailableVolume(),
@@ -170,15 +388,16 @@ class PlacementService {
       // Try each container
       for (const container of sortedContainers) {
         // If the item fits in the container without rearrangement, place it
-        const position = this.findPositionInContainer(item, container)
-        if (position) {
+        const fit = this.findPositionInContainer(item, container, itemStrategies.get(item.itemId))
+        if (fit) {
           placements.push({
             itemId: item.itemId,
             containerId: container.containerId,
-            position,
+            position: fit.position,
+            orientation: fit.orientation,
           })
 
-          container.addItem(item, position)
+          container.addItem(item, fit.position)
           break
         }
 
@@ -203,96 +422,73 @@ class PlacementService {
           container.removeItem(lowPriorityItem.itemId)
 
           // Check if the unplaced item fits now
-          const newPosition = this.findPositionInContainer(item, container)
+          const newFit = this.findPositionInContainer(item, container, itemStrategies.get(item.itemId))
+          if (!newFit) {
+            // It doesn't fit, put the low-priority item back
+            container.addItem(lowPriorityItem, lowPriorityItem.position)
+            continue
+          }
 
-          if (newPosition) {
-            // It fits! Add rearrangement steps
+          container.addItem(item, newFit.position)
+
+          // The removed item needs a new home that does not collide with anything
+          const newHome = packingEngine.findPlacement(
+            lowPriorityItem,
+            sortedContainers,
+            itemStrategies.get(lowPriorityItem.itemId),
+          )
+          if (!newHome) {
+            // Nowhere to put it, undo and try the next low-priority item
+            container.removeItem(item.itemId)
+            container.addItem(lowPriorityItem, lowPriorityItem.position)
+            continue
+          }
 
-            // Step 1: Remove the low-priority item
-            rearrangements.push({
-              step: step++,
-              action: "remove",
-              itemId: lowPriorityItem.itemId,
+          newHome.container.addItem(lowPriorityItem, newHome.position)
+
+          // It fits! Add rearrangement steps
+
+          // Step 1: Remove the low-priority item
+          rearrangements.push(
+            retrievalPlanner.createStep("remove", lowPriorityItem, {
               fromContainer: container.containerId,
               fromPosition: lowPriorityItem.position,
-              toContainer: null,
-              toPosition: null,
-            })
-
-            // Step 2: Place the unplaced item
-            rearrangements.push({
-              step: step++,
-              action: "place",
-              itemId: item.itemId,
-              fromContainer: null,
-              fromPosition: null,
+            }),
+          )
+
+          // Step 2: Place the unplaced item
+          rearrangements.push(
+            retrievalPlanner.createStep("place", item, {
               toContainer: container.containerId,
-              toPosition: newPosition,
-            })
-
-            // Add the placement
-            placements.push({
-              itemId: item.itemId,
-              containerId: container.containerId,
-              position: newPosition,
-            })
-
-            // Update the container
-            container.addItem(item, newPosition)
-
-            // Try to find a new home for the removed item
-            let newHome = false
-            for (const otherContainer of sortedContainers) {
-              if (otherContainer.containerId === container.containerId) continue
-
-              const otherPosition = this.findPositionInContainer(lowPriorityItem, otherContainer)
-              if (otherPosition) {
-                // Step 3: Place the low-priority item in a new container
-                rearrangements.push({
-                  step: step++,
-                  action: "place",
-                  itemId: lowPriorityItem.itemId,
-                  fromContainer: null,
-                  fromPosition: null,
-                  toContainer: otherContainer.containerId,
-                  toPosition: otherPosition,
-                })
-
-                // Update the other container
-                otherContainer.addItem(lowPriorityItem, otherPosition)
-
-                newHome = true
-                break
-              }
-            }
-
-            // If no new home found, put it back
-            if (!newHome) {
-              // Step 3: Put the low-priority item back
-              rearrangements.push({
-                step: step++,
-                action: "place",
-                itemId: lowPriorityItem.itemId,
-                fromContainer: null,
-                fromPosition: null,
-                toContainer: container.containerId,
-                toPosition: lowPriorityItem.position,
-              })
-
-              // Update the container
-              container.addItem(lowPriorityItem, lowPriorityItem.position)
-            }
-
-            break
-          } else {
-            // It doesn't fit, put the low-priority item back
-            container.addItem(lowPriorityItem, lowPriorityItem.position)
-          }
+              toPosition: newFit.position,
+            }),
+          )
+
+          // Step 3: Place the low-priority item in its new home
+          rearrangements.push(
+            retrievalPlanner.createStep("place", lowPriorityItem, {
+              toContainer: newHome.container.containerId,
+              toPosition: newHome.position,
+            }),
+          )
+
+          // Add the placement
+          placements.push({
+            itemId: item.itemId,
+            containerId: container.containerId,
+            position: newFit.position,
+            orientation: newFit.orientation,
+          })
+
+          placed = true
+          break
         }
+
+        if (placed) break
       }
     }
 
-    return { placements, rearrangements }
+    return { placements, rearrangements: retrievalPlanner.numberSteps(rearrangements) }
   }
 }
 
@@ -0,0 +1,306 @@
+import db from "./database.js"
+import packingEngine from "./packing-engine.js"
+
+/**
+ * Version of the step schema shared by search, waste and rearrangement instructions
+ * Every step has:
+ * - step: its number, starting at 1
+ * - action: "remove", "setAside", "retrieve", "placeBack" or "place"
+ * - itemId, itemName: the item handled
+ * - fromContainer, fromPosition: where the item is taken from, or null
+ * - toContainer, toPosition: where the item goes, or null
+ * - estimatedEffort: the crew time the step should take, in seconds
+ * Removals also say why the item is in the way ("inPath" or "onTop") and which item it blocks,
+ * put-backs say whether the item ends up somewhere other than where it was
+ */
+const STEP_SCHEMA_VERSION = 1
+
+// Crew time in seconds for each action before reach and mass are accounted for
+const BASE_EFFORT = {
+  remove: 20,
+  setAside: 10,
+  retrieve: 20,
+  placeBack: 20,
+  place: 20,
+}
+
+// Extra seconds for every cm reached into a container and every kg handled
+const EFFORT_PER_CM = 0.2
+const EFFORT_PER_KG = 1
+
+// How much one logged retrieval adds to an item's priority when ranking access demand
+const RETRIEVAL_DEMAND_WEIGHT = 5
+
+// Access demand from which an item is stowed near the open face when FRONT_ACCESS_DEMAND is not set
+const DEFAULT_FRONT_ACCESS_DEMAND = 50
+
+/**
+ * Plans how items are taken out of and put back into containers, and describes
+ * the plan as steps in one schema for every API that returns instructions
+ */
+class RetrievalPlanner {
+  constructor() {
+    // Items whose access demand reaches this go near the open face, the rest to the back,
+    // e.g. FRONT_ACCESS_DEMAND=70
+    this.frontAccessDemand = this.parseAccessDemand(process.env.FRONT_ACCESS_DEMAND)
+  }
+
+  /**
+   * Parse the configured front access demand threshold
+   * @param {string} value - A number of at least 0
+   * @returns {number} - The threshold, DEFAULT_FRONT_ACCESS_DEMAND if not configured
+   */
+  parseAccessDemand(value) {
+    if (value === undefined || value === "") return DEFAULT_FRONT_ACCESS_DEMAND
+
+    const threshold = Number.parseFloat(value)
+    if (Number.isNaN(threshold) || threshold < 0) {
+      throw new Error(`FRONT_ACCESS_DEMAND must be a number of at least 0, got "${value}"`)
+    }
+    return threshold
+  }
+
+  /**
+   * Get the version of the step schema
+   * @returns {number} - The schema version
+   */
+  getSchemaVersion() {
+    return STEP_SCHEMA_VERSION
+  }
+
+  /**
+   * Plan the steps to retrieve an item
+   * Blocking items are set aside, then put back where the put-back plan sends them
+   * @param {string} itemId - The ID of the item to retrieve
+   * @param {Object} container - The container the item is in
+   * @param {Object} options - firstStep, the number of the first step, and takeOut, whether the item leaves its slot
+   * @returns {Array} - The retrieval steps
+   */
+  planRetrieval(itemId, container, { firstStep = 1, takeOut = false } = {}) {
+    const target = container.findItem(itemId)
+    const { removals, placeBacks } = this.planPutBack(itemId, container, takeOut)
+    const steps = []
+
+    // Remove the blocking items
+    for (const removal of removals) {
+      steps.push(
+        this.createStep("remove", removal.item, {
+          fromContainer: container.containerId,
+          fromPosition: removal.item.position,
+          reason: removal.reason,
+          blocks: removal.blocks,
+        }),
+      )
+      steps.push(this.createStep("setAside", removal.item))
+    }
+
+    // Retrieve the target item
+    steps.push(
+      this.createStep("retrieve", db.getItem(itemId) || target, {
+        fromContainer: container.containerId,
+        fromPosition: target ? target.position : null,
+      }),
+    )
+
+    // Place back the blocking items
+    for (const placeBack of placeBacks) {
+      steps.push(
+        this.createStep("placeBack", placeBack.item, {
+          toContainer: container.containerId,
+          toPosition: placeBack.position,
+          moved: placeBack.moved,
+        }),
+      )
+    }
+
+    return this.numberSteps(steps, firstStep)
+  }
+
+  /**
+   * Plan where the items moved out of the way go back after a retrieval
+   * The moved items are repacked around the retrieved item, or into its slot when it is
+   * taken out, items in frequent demand toward the open face and the rest toward the back.
+   * The repack is only kept if it makes the container's items easier to reach, as scored by
+   * getAccessCost; otherwise, or if they cannot all be repacked, they go back exactly where they were.
+   * @param {string} itemId - The ID of the item to retrieve
+   * @param {Object} container - The container the item is in
+   * @param {boolean} takeOut - Whether the retrieved item leaves the container
+   * @returns {Object} - The removals in order and the put-backs with their target positions
+   */
+  planPutBack(itemId, container, takeOut = false) {
+    const removals = container.getRemovalPlan(itemId)
+
+    // Put the items back in reverse order of removal, each where it was
+    const restore = () =>
+      [...removals].reverse().map((removal) => ({
+        item: removal.item,
+        position: removal.item.position,
+        orientation: removal.item.orientation || null,
+        moved: false,
+      }))
+
+    if (removals.length === 0) {
+      return { removals, placeBacks: [] }
+    }
+
+    const working = container.clone()
+    if (takeOut) {
+      working.removeItem(itemId)
+    }
+    const restored = working.clone()
+    removals.forEach((removal) => working.removeItem(removal.item.itemId))
+
+    const movedItems = removals.map((removal) => db.getItem(removal.item.itemId) || removal.item)
+    const itemStrategies = this.assignAccessStrategies(movedItems)
+    const itemsById = new Map(movedItems.map((item) => [item.itemId, item]))
+
+    const placeBacks = []
+    for (const [movedItemId, strategy] of itemStrategies) {
+      const item = itemsById.get(movedItemId)
+      const fit = packingEngine.findPosition(item, working, strategy)
+      if (!fit) {
+        return { removals, placeBacks: restore() }
+      }
+
+      working.items.push({ ...item, position: fit.position, orientation: fit.orientation })
+      placeBacks.push({
+        item,
+        position: fit.position,
+        orientation: fit.orientation,
+        moved: !this.samePosition(fit.position, item.position),
+      })
+    }
+
+    // Keep the layout as it was unless the repack is strictly better
+    const retrievalCounts = this.countRetrievals()
+    if (this.getAccessCost(working, retrievalCounts) >= this.getAccessCost(restored, retrievalCounts) - 1e-9) {
+      return { removals, placeBacks: restore() }
+    }
+
+    return { removals, placeBacks }
+  }
+
+  /**
+   * Score how hard the items of a container are to reach: the retrieval steps of every
+   * item weighted by its access demand, plus one so items without demand still count
+   * @param {Object} container - The container
+   * @param {Map} retrievalCounts - Map of itemId to number of logged retrievals
+   * @returns {number} - The access cost, lower is better
+   */
+  getAccessCost(container, retrievalCounts) {
+    return container.items.reduce((total, entry) => {
+      const item = db.getItem(entry.itemId) || entry
+      return total + container.getRetrievalSteps(entry.itemId) * (this.getAccessDemand(item, retrievalCounts) + 1)
+    }, 0)
+  }
+
+  /**
+   * Decide which items belong near the open face and which at the back
+   * Items whose access demand reaches the front access demand threshold go to unobstructed
+   * slots near the open face, long-term stowage goes to the back
+   * @param {Array} items - The items to stow
+   * @returns {Map} - Map of itemId to packing engine strategy, most in-demand first
+   */
+  assignAccessStrategies(items) {
+    const retrievalCounts = this.countRetrievals()
+
+    const rankedItems = [...items].sort(
+      (a, b) => this.getAccessDemand(b, retrievalCounts) - this.getAccessDemand(a, retrievalCounts),
+    )
+
+    const itemStrategies = new Map()
+    for (const item of rankedItems) {
+      const isFrequent = this.getAccessDemand(item, retrievalCounts) >= this.frontAccessDemand
+      itemStrategies.set(item.itemId, isFrequent ? "min-retrieval-depth" : "deep-stowage")
+    }
+
+    return itemStrategies
+  }
+
+  /**
+   * Count the retrievals already logged for each item
+   * @returns {Map} - Map of itemId to number of logged retrievals
+   */
+  countRetrievals() {
+    const retrievalCounts = new Map()
+    for (const log of db.getLogs({ actionType: "retrieval" })) {
+      retrievalCounts.set(log.itemId, (retrievalCounts.get(log.itemId) || 0) + 1)
+    }
+    return retrievalCounts
+  }
+
+  /**
+   * Get how urgently an item needs to be reachable: its priority, raised by
+   * every retrieval already logged for it
+   * @param {Object} item - The item
+   * @param {Map} retrievalCounts - Map of itemId to number of logged retrievals
+   * @returns {number} - The access demand score
+   */
+  getAccessDemand(item, retrievalCounts) {
+    return (item.priority || 0) + (retrievalCounts.get(item.itemId) || 0) * RETRIEVAL_DEMAND_WEIGHT
+  }
+
+  /**
+   * Create a step in the shared schema
+   * @param {string} action - The step type
+   * @param {Object} item - The item handled
+   * @param {Object} fields - The containers and positions involved, and any extra details
+   * @returns {Object} - The step, numbered later by numberSteps
+   */
+  createStep(action, item, fields = {}) {
+    const step = {
+      step: null,
+      action,
+      itemId: item.itemId,
+      itemName: item.name,
+      fromContainer: null,
+      fromPosition: null,
+      toContainer: null,
+      toPosition: null,
+      ...fields,
+    }
+    step.estimatedEffort = this.estimateEffort(step, item)
+    return step
+  }
+
+  /**
+   * Estimate the crew time a step takes: a base time for the action, plus the
+   * reach into the container and the mass handled
+   * @param {Object} step - The step
+   * @param {Object} item - The item handled
+   * @returns {number} - The estimated effort in seconds
+   */
+  estimateEffort(step, item) {
+    const position = step.fromPosition || step.toPosition
+    const reach = position ? position.startCoordinates.depth : 0
+    const effort = (BASE_EFFORT[step.action] || 0) + reach * EFFORT_PER_CM + (item.mass || 0) * EFFORT_PER_KG
+    return Math.round(effort * 10) / 10
+  }
+
+  /**
+   * Number steps in order
+   * @param {Array} steps - The steps
+   * @param {number} firstStep - The number of the first step
+   * @returns {Array} - The same steps, numbered
+   */
+  numberSteps(steps, firstStep = 1) {
+    steps.forEach((step, index) => {
+      step.step = firstStep + index
+    })
+    return steps
+  }
+
+  /**
+   * Check whether two positions are the same
+   * @param {Object} pos1 - The first position
+   * @param {Object} pos2 - The second position
+   * @returns {boolean} - Whether the positions match
+   */
+  samePosition(pos1, pos2) {
+    return ["startCoordinates", "endCoordinates"].every((corner) =>
+      ["width", "depth", "height"].every((axis) => Math.abs(pos1[corner][axis] - pos2[corner][axis]) < 1e-6),
+    )
+  }
+}
+
+export default new RetrievalPlanner()
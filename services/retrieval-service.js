@@ -1,5 +1,15 @@
 import db from "./database.js"
 import Log from "../models/log.js"
+import Item from "../models/item.js"
+import stowageRules from "./stowage-rules-service.js"
+import retrievalPlanner from "./retrieval-planner.js"
+
+// Minimum match score, from 0 to 1, for an item to count as a search hit
+const MIN_MATCH_SCORE = 0.5
+
+// How a retrieved item is handled: used where it sits, or taken out of its slot into the crew's hands
+const RETRIEVAL_MODES = ["use-in-place", "take-out"]
+const DEFAULT_MODE = "use-in-place"
 
 /**
  * Service for handling item retrieval
@@ -10,16 +20,22 @@ class RetrievalService {
    * @param {string} itemId - The item ID to search for
    * @param {string} itemName - The item name to search for
    * @param {string} userId - The user performing the search
+   * @param {string} mode - The retrieval mode the steps are planned for, one of getModes()
    * @returns {Object} - The search result
    */
-  searchItem(itemId, itemName, userId) {
+  searchItem(itemId, itemName, userId, mode = DEFAULT_MODE) {
     let item
 
+    let selection
+
     // Search by ID or name
     if (itemId) {
       item = db.getItem(itemId)
     } else if (itemName) {
-      item = db.getItemByName(itemName)
+      // Several units may share a name, pick the one that is best to retrieve
+      const choice = this.selectItemByName(itemName)
+      item = choice ? choice.item : undefined
+      selection = choice ? choice.selection : undefined
     }
 
     // If item not found, return not found
@@ -29,6 +45,7 @@ class RetrievalService {
         found: false,
         item: null,
         retrievalSteps: [],
+        stepSchemaVersion: retrievalPlanner.getSchemaVersion(),
       }
     }
 
@@ -44,13 +61,17 @@ class RetrievalService {
           containerId: null,
           zone: null,
           position: null,
+          heldBy: item.heldBy,
+          ...this.describeQuantity(item),
         },
         retrievalSteps: [],
+        stepSchemaVersion: retrievalPlanner.getSchemaVersion(),
+        ...(selection && { selection }),
       }
     }
 
     // Calculate retrieval steps
-    const retrievalSteps = this.calculateRetrievalSteps(item.itemId, container)
+    const retrievalSteps = retrievalPlanner.planRetrieval(item.itemId, container, { takeOut: mode === "take-out" })
 
     return {
       success: true,
@@ -61,88 +82,287 @@ class RetrievalService {
         containerId: container.containerId,
         zone: container.zone,
         position: item.position,
+        ...this.describeQuantity(item),
       },
       retrievalSteps,
+      stepSchemaVersion: retrievalPlanner.getSchemaVersion(),
+      ...(selection && { selection }),
     }
   }
 
   /**
-   * Calculate the steps needed to retrieve an item
-   * @param {string} itemId - The ID of the item to retrieve
-   * @param {Object} container - The container the item is in
-   * @returns {Array} - The retrieval steps
+   * Choose which unit to retrieve when several items share a name
+   * Usable units come before expired or used-up ones, then the unit with the fewest
+   * retrieval steps wins, and among ties the one expiring soonest. When no name
+   * matches exactly, the closest fuzzy match's name is used unless exact is set.
+   * @param {string} name - The item name
+   * @param {boolean} exact - Whether to skip the fuzzy fallback
+   * @param {Object} options - items, the units to choose from (all stored items by default),
+   *   and currentDate, the date deciding which units are waste (the database date by default)
+   * @returns {Object|null} - The chosen item and an explanation of the choice, or null if nothing matches
    */
-  calculateRetrievalSteps(itemId, container) {
-    const steps = []
-    let stepNumber = 1
-
-    // Get the items that need to be moved
-    const itemsToMove = container.getItemsToMove(itemId)
-
-    // If no items need to be moved, the item is directly accessible
-    if (itemsToMove.length === 0) {
-      steps.push({
-        step: stepNumber++,
-        action: "retrieve",
-        itemId: itemId,
-        itemName: db.getItem(itemId).name,
-      })
-      return steps
+  selectItemByName(name, exact = false, { items, currentDate = db.getCurrentDate() } = {}) {
+    const withName = (itemName) =>
+      items ? items.filter((item) => item.name === itemName) : db.getItemsByName(itemName)
+
+    let candidates = withName(name)
+    if (candidates.length === 0) {
+      if (exact) return null
+      const [bestMatch] = this.searchItems(name, {}, 1)
+      if (!bestMatch) return null
+      candidates = withName(bestMatch.name)
+      if (candidates.length === 0) return null
     }
 
-    // Add steps to remove blocking items
-    for (const item of itemsToMove) {
-      steps.push({
-        step: stepNumber++,
-        action: "remove",
-        itemId: item.itemId,
-        itemName: item.name,
+    const ranked = candidates
+      .map((item) => {
+        const container = item.containerId ? db.getContainer(item.containerId) : null
+        return {
+          item,
+          isWaste: item.isWaste(currentDate),
+          // Units that are not stowed, such as ones taken out, are ranked last
+          steps: container && container.findItem(item.itemId) ? container.getRetrievalSteps(item.itemId) : Infinity,
+          expiry: item.expiryDate ? item.expiryDate.getTime() : Infinity,
+        }
       })
+      .sort((a, b) => a.isWaste - b.isWaste || a.steps - b.steps || a.expiry - b.expiry)
 
-      steps.push({
-        step: stepNumber++,
-        action: "setAside",
-        itemId: item.itemId,
-        itemName: item.name,
-      })
+    const best = ranked[0]
+    const reason = this.explainSelection(best, ranked)
+    return {
+      item: best.item,
+      selection: {
+        candidates: ranked.length,
+        retrievalSteps: Number.isFinite(best.steps) ? best.steps : null,
+        expiryDate: best.item.expiryDate,
+        reason:
+          best.item.name === name ? reason : `No item named "${name}", closest match "${best.item.name}". ${reason}`,
+      },
     }
+  }
 
-    // Add step to retrieve the target item
-    steps.push({
-      step: stepNumber++,
-      action: "retrieve",
-      itemId: itemId,
-      itemName: db.getItem(itemId).name,
-    })
+  /**
+   * Explain why a unit was chosen among units sharing a name
+   * @param {Object} best - The chosen ranking entry
+   * @param {Array} ranked - All ranking entries, best first
+   * @returns {string} - The explanation
+   */
+  explainSelection(best, ranked) {
+    const name = best.item.name
+    if (ranked.length === 1) {
+      return `Only unit named "${name}"`
+    }
 
-    // Add steps to place back the blocking items
-    for (let i = itemsToMove.length - 1; i >= 0; i--) {
-      const item = itemsToMove[i]
-      steps.push({
-        step: stepNumber++,
-        action: "placeBack",
+    const reasons = []
+    const usable = ranked.filter((entry) => !entry.isWaste)
+    if (usable.length < ranked.length && !best.isWaste) {
+      reasons.push(`skipped ${ranked.length - usable.length} expired or used-up unit(s)`)
+    }
+
+    const pool = best.isWaste ? ranked : usable
+    const tiedOnSteps = pool.filter((entry) => entry.steps === best.steps)
+    const stepsText = Number.isFinite(best.steps) ? `${best.steps} retrieval step(s)` : "not stowed"
+
+    if (tiedOnSteps.length === 1) {
+      reasons.push(`fewest retrieval steps (${stepsText})`)
+    } else {
+      const tiedOnExpiry = tiedOnSteps.filter((entry) => entry.expiry === best.expiry)
+      const expiryText = best.item.expiryDate ? `expires soonest (${best.item.expiryDate.toISOString()})` : "no expiry"
+      reasons.push(`tied with ${tiedOnSteps.length - 1} other unit(s) on ${stepsText}`)
+      reasons.push(
+        tiedOnExpiry.length === 1 ? expiryText : `${expiryText}, same as ${tiedOnExpiry.length - 1} other(s)`,
+      )
+    }
+
+    return `Chosen among ${ranked.length} units named "${name}": ${reasons.join("; ")}`
+  }
+
+  /**
+   * Search items by free text and filters, ranked by relevance
+   * The text is matched case-insensitively against item names and IDs, tolerating
+   * partial words and typos. Without text, every item passing the filters matches.
+   * @param {string} query - The text to search for
+   * @param {Object} filters - Optional zone, containerId, expiresAfter, expiresBefore, minPriority and maxPriority
+   * @param {number} limit - The maximum number of results
+   * @returns {Array} - The matching items, best first
+   */
+  searchItems(query, filters = {}, limit = 20) {
+    const results = []
+
+    for (const item of db.getAllItems()) {
+      const container = item.containerId ? db.getContainer(item.containerId) : null
+      if (!this.matchesFilters(item, container, filters)) continue
+
+      const score = query ? Math.max(this.scoreMatch(query, item.name), this.scoreMatch(query, item.itemId) * 0.9) : 1
+      if (score < MIN_MATCH_SCORE) continue
+
+      results.push({
         itemId: item.itemId,
-        itemName: item.name,
+        name: item.name,
+        score: Math.round(score * 1000) / 1000,
+        priority: item.priority,
+        expiryDate: item.expiryDate,
+        containerId: container ? container.containerId : null,
+        zone: container ? container.zone : null,
+        position: container ? item.position : null,
+        retrievalSteps: container ? container.getRetrievalSteps(item.itemId) : null,
       })
     }
 
-    return steps
+    // Best match first, then the easiest to reach, then the most important
+    results.sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.retrievalSteps ?? Infinity) - (b.retrievalSteps ?? Infinity) ||
+        (b.priority || 0) - (a.priority || 0),
+    )
+
+    return results.slice(0, limit)
+  }
+
+  /**
+   * Check whether an item passes the search filters
+   * @param {Item} item - The item
+   * @param {Container|null} container - The container the item is in
+   * @param {Object} filters - The search filters
+   * @returns {boolean} - Whether the item passes
+   */
+  matchesFilters(item, container, filters) {
+    const { zone, containerId, expiresAfter, expiresBefore, minPriority, maxPriority } = filters
+
+    if (zone && (!container || container.zone !== zone)) return false
+    if (containerId && item.containerId !== containerId) return false
+    if (expiresAfter && (!item.expiryDate || item.expiryDate < new Date(expiresAfter))) return false
+    if (expiresBefore && (!item.expiryDate || item.expiryDate > new Date(expiresBefore))) return false
+    if (minPriority !== undefined && (item.priority || 0) < minPriority) return false
+    if (maxPriority !== undefined && (item.priority || 0) > maxPriority) return false
+
+    return true
+  }
+
+  /**
+   * Score how well a search text matches a value
+   * Exact matches score 1, prefixes 0.9 and substrings 0.8; otherwise each word of
+   * the query is compared with the closest word of the value by edit distance
+   * @param {string} query - The search text
+   * @param {string} value - The value to match against
+   * @returns {number} - The score, from 0 to 1
+   */
+  scoreMatch(query, value) {
+    if (!value) return 0
+
+    const needle = String(query).trim().toLowerCase()
+    const haystack = String(value).trim().toLowerCase()
+    if (!needle) return 0
+
+    if (haystack === needle) return 1
+    if (haystack.startsWith(needle)) return 0.9
+    if (haystack.includes(needle)) return 0.8
+
+    const queryWords = needle.split(/[\s_-]+/).filter(Boolean)
+    const valueWords = haystack.split(/[\s_-]+/).filter(Boolean)
+
+    const wordScores = queryWords.map((queryWord) =>
+      Math.max(
+        ...valueWords.map((valueWord) => {
+          // A word typed partially counts as a near match
+          if (valueWord.startsWith(queryWord)) return 0.85
+          const distance = this.editDistance(queryWord, valueWord)
+          return 1 - distance / Math.max(queryWord.length, valueWord.length)
+        }),
+      ),
+    )
+
+    // Fuzzy matches never outrank literal ones
+    return (wordScores.reduce((total, score) => total + score, 0) / wordScores.length) * 0.75
+  }
+
+  /**
+   * Compute the Levenshtein edit distance between two strings
+   * @param {string} a - The first string
+   * @param {string} b - The second string
+   * @returns {number} - The number of single-character edits
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i]
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution))
+      }
+      previous = current
+    }
+
+    return previous[b.length]
+  }
+
+  /**
+   * Get the names of the available retrieval modes
+   * @returns {Array} - The mode names
+   */
+  getModes() {
+    return RETRIEVAL_MODES
   }
 
   /**
    * Retrieve an item
+   * In "use-in-place" mode the item stays in its slot. In "take-out" mode it leaves the
+   * container and stays in the crew's hands until it is placed again or disposed.
+   * Items tracking a quantity have the amount, one unit by default, consumed from it.
    * @param {string} itemId - The ID of the item to retrieve
    * @param {string} userId - The user retrieving the item
    * @param {string} timestamp - The timestamp of the retrieval
+   * @param {string} mode - The retrieval mode, one of getModes()
+   * @param {number} amount - The amount to consume, in the item's unit
    * @returns {Object} - The result of the retrieval
    */
-  retrieveItem(itemId, userId, timestamp) {
+  retrieveItem(itemId, userId, timestamp, mode = DEFAULT_MODE, amount) {
     const item = db.getItem(itemId)
 
     // If item not found, return error
     if (!item) {
       return {
         success: false,
+        message: `Item ${itemId} not found`,
+      }
+    }
+
+    // Only bulk stock can be consumed by amount, and no more than is left
+    if (amount !== undefined && !item.tracksQuantity()) {
+      return {
+        success: false,
+        message: `Item ${itemId} does not track a quantity`,
+      }
+    }
+    const consumed = item.tracksQuantity() ? (amount !== undefined ? amount : 1) : undefined
+    if (consumed > item.remainingQuantity) {
+      return {
+        success: false,
+        message: `Only ${item.remainingQuantity} ${item.unit || "units"} of item ${itemId} left`,
+      }
+    }
+
+    // An item already in the crew's hands can only be used where it is
+    if (item.heldBy) {
+      if (mode === "take-out") {
+        return {
+          success: false,
+          message: `Item ${itemId} is already taken out`,
+        }
+      }
+
+      const usedItem = item.clone()
+      db.transaction(() => {
+        usedItem.use(consumed)
+        db.updateItem(usedItem)
+        this.logRetrieval(userId, usedItem, null, timestamp, consumed)
+      })
+
+      return {
+        success: true,
+        ...this.describeQuantity(usedItem),
       }
     }
 
@@ -151,27 +371,134 @@ class RetrievalService {
     if (!container) {
       return {
         success: false,
+        message: `Item ${itemId} is not stowed in a known container`,
       }
     }
 
-    // Use the item (decrement usage count)
-    item.use()
+    const takeOut = mode === "take-out"
 
-    // Update the item in the database
-    db.updateItem(item)
+    // Plan the put-back before anything changes, it is the plan the retrieval steps showed
+    const { placeBacks } = retrievalPlanner.planPutBack(itemId, container, takeOut)
 
-    // Log the retrieval
-    const log = Log.createRetrievalLog(userId, itemId, container.containerId)
-    if (timestamp) {
-      log.timestamp = new Date(timestamp)
+    // Items can be used where they are in a sealed container, but nothing may leave it or move
+    const undocking = db.getSealedUndocking(container.containerId)
+    if (undocking && (takeOut || placeBacks.some((placeBack) => placeBack.moved))) {
+      return {
+        success: false,
+        message: `Container ${container.containerId} is sealed for undocking ${undocking.undockingId}`,
+      }
     }
-    db.addLog(log)
+
+    // Work on copies so a failed step leaves the stored objects untouched
+    const usedItem = item.clone()
+    const workingContainer = container.clone()
+
+    db.transaction(() => {
+      // Use the item (decrement usage count and consume the amount)
+      usedItem.use(consumed)
+
+      // Free the slot and hand the item to the crew
+      if (takeOut) {
+        workingContainer.removeItem(itemId)
+        usedItem.heldBy = {
+          userId: userId || null,
+          fromContainer: container.containerId,
+          since: (timestamp ? new Date(timestamp) : new Date()).toISOString(),
+        }
+        usedItem.containerId = null
+        usedItem.position = null
+        usedItem.orientation = null
+      }
+
+      // Update the item in the database
+      db.updateItem(usedItem)
+
+      // Log the retrieval
+      this.logRetrieval(userId, usedItem, container.containerId, timestamp, consumed)
+
+      // Store the new positions of the items moved out of the way
+      const moved = this.applyPutBack(workingContainer, placeBacks, userId, timestamp)
+
+      if (takeOut || moved > 0) {
+        db.updateContainer(workingContainer)
+      }
+    })
 
     return {
       success: true,
+      ...(takeOut && { heldBy: usedItem.heldBy }),
+      ...this.describeQuantity(usedItem),
     }
   }
 
+  /**
+   * Move the items set aside during a retrieval to their put-back positions and log each move
+   * The container is changed in place and must be a copy the caller writes back; the moved items are stored here
+   * @param {Object} container - The container the items were set aside from
+   * @param {Array} placeBacks - The put-backs planned by retrievalPlanner.planPutBack
+   * @param {string} userId - The user moving the items
+   * @param {string} timestamp - The timestamp of the moves
+   * @returns {number} - The number of items that changed position
+   */
+  applyPutBack(container, placeBacks, userId, timestamp) {
+    const moved = placeBacks.filter((placeBack) => placeBack.moved)
+    for (const placeBack of moved) {
+      const stowed = container.findItem(placeBack.item.itemId)
+      stowed.position = placeBack.position
+      stowed.orientation = placeBack.orientation
+
+      const storedItem = db.getItem(placeBack.item.itemId)
+      if (storedItem) {
+        const movedItem = storedItem.clone()
+        movedItem.position = placeBack.position
+        movedItem.orientation = placeBack.orientation
+        db.updateItem(movedItem)
+      }
+
+      const rearrangementLog = Log.createRearrangementLog(
+        userId,
+        placeBack.item.itemId,
+        container.containerId,
+        container.containerId,
+      )
+      if (timestamp) {
+        rearrangementLog.timestamp = new Date(timestamp)
+      }
+      db.addLog(rearrangementLog)
+    }
+
+    return moved.length
+  }
+
+  /**
+   * Log a retrieval
+   * @param {string} userId - The user retrieving the item
+   * @param {Object} item - The item retrieved
+   * @param {string|null} containerId - The container it was retrieved from, null if it was already taken out
+   * @param {string} timestamp - The timestamp of the retrieval
+   * @param {number} amount - The amount consumed, for items tracking a quantity
+   */
+  logRetrieval(userId, item, containerId, timestamp, amount) {
+    const log = Log.createRetrievalLog(userId, item.itemId, containerId)
+    if (timestamp) {
+      log.timestamp = new Date(timestamp)
+    }
+    if (amount !== undefined) {
+      log.details.amount = amount
+      log.details.unit = item.unit
+    }
+    db.addLog(log)
+  }
+
+  /**
+   * Describe what is left of an item's quantity, for responses
+   * @param {Object} item - The item
+   * @returns {Object} - remainingQuantity and unit, or nothing if the item does not track a quantity
+   */
+  describeQuantity(item) {
+    return item.tracksQuantity() ? { remainingQuantity: item.remainingQuantity, unit: item.unit } : {}
+  }
+
   /**
    * Place an item in a container
    * @param {string} itemId - The ID of the item to place
@@ -188,6 +515,7 @@ class RetrievalService {
     if (!item) {
       return {
         success: false,
+        message: `Item ${itemId} not found`,
       }
     }
 
@@ -196,13 +524,43 @@ class RetrievalService {
     if (!container) {
       return {
         success: false,
+        message: `Container ${containerId} not found`,
+      }
+    }
+
+    // Nothing goes into or out of a container sealed for undocking
+    for (const affectedId of [containerId, item.containerId]) {
+      const undocking = affectedId ? db.getSealedUndocking(affectedId) : undefined
+      if (undocking) {
+        return {
+          success: false,
+          message: `Container ${affectedId} is sealed for undocking ${undocking.undockingId}`,
+        }
+      }
+    }
+
+    // Check if the position matches the item's dimensions in an allowed orientation
+    if (!Item.getOrientationForPosition(item, position)) {
+      return {
+        success: false,
+        message: `Position does not match the dimensions of item ${itemId} in any allowed orientation`,
       }
     }
 
     // Check if the item can fit in the container at the specified position
-    if (!container.canFitItem(item, position)) {
+    if (!container.isSpaceFree(position)) {
+      return {
+        success: false,
+        message: `Position is outside container ${containerId} or overlaps another item`,
+      }
+    }
+
+    // Check the container's load limits and the stowage rules at the specified position
+    const violation = stowageRules.getPlacementViolation(container, item, position)
+    if (violation) {
       return {
         success: false,
+        message: violation,
       }
     }
 
@@ -218,6 +576,8 @@ class RetrievalService {
     // Update the item with the new container and position
     item.containerId = containerId
     item.position = position
+    item.orientation = Item.getOrientationForPosition(item, position)
+    item.heldBy = null
     db.updateItem(item)
 
     // Add the item to the container
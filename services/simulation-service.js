@@ -1,4 +1,6 @@
 import db from "./database.js"
+import Item from "../models/item.js"
+import retrievalService from "./retrieval-service.js"
 
 /**
  * Service for handling time simulation
@@ -35,6 +37,14 @@ class SimulationService {
       }
     }
 
+    const refusal = this.getUsageRefusal(itemsToBeUsedPerDay, db.getAllItems())
+    if (refusal) {
+      return {
+        success: false,
+        message: refusal,
+      }
+    }
+
     // Calculate number of days to simulate
     const daysDiff = Math.floor((targetDate - currentDate) / (1000 * 60 * 60 * 24))
 
@@ -46,47 +56,35 @@ class SimulationService {
     }
 
     // Simulate each day
-    for (let i = 0; i < daysDiff; i++) {
+    for (let i = 1; i <= daysDiff; i++) {
       // Advance the date by one day
       const newDate = new Date(currentDate)
-      newDate.setDate(newDate.getDate() + 1)
+      newDate.setDate(newDate.getDate() + i)
       db.setCurrentDate(newDate)
 
       // Use items for this day
-      if (itemsToBeUsedPerDay && itemsToBeUsedPerDay.length > 0) {
-        for (const itemToUse of itemsToBeUsedPerDay) {
-          let item
-
-          // Find the item by ID or name
-          if (itemToUse.itemId) {
-            item = db.getItem(itemToUse.itemId)
-          } else if (itemToUse.name) {
-            item = db.getItemByName(itemToUse.name)
-          }
-
-          // If item found, use it
-          if (item) {
-            const remainingUses = item.use()
-
-            // Add to used items
-            changes.itemsUsed.push({
-              itemId: item.itemId,
-              name: item.name,
-              remainingUses,
-            })
-
-            // If depleted today, add to depleted items
-            if (remainingUses === 0) {
-              changes.itemsDepletedToday.push({
-                itemId: item.itemId,
-                name: item.name,
-              })
-            }
-
-            // Update the item in the database
-            db.updateItem(item)
-          }
+      const items = new Map(db.getAllItems().map((item) => [item.itemId, item]))
+      const uses = this.useItemsForDay(itemsToBeUsedPerDay, items, newDate)
+      for (const { item, remainingUses, amount, depleted, selection } of uses) {
+        // Add to used items
+        changes.itemsUsed.push({
+          itemId: item.itemId,
+          name: item.name,
+          remainingUses,
+          ...(item.tracksQuantity() && { amount, remainingQuantity: item.remainingQuantity, unit: item.unit }),
+          ...(selection && { selection }),
+        })
+
+        // If depleted today, add to depleted items
+        if (depleted) {
+          changes.itemsDepletedToday.push({
+            itemId: item.itemId,
+            name: item.name,
+          })
         }
+
+        // Update the item in the database
+        db.updateItem(item)
       }
 
       // Check for newly expired items
@@ -108,6 +106,80 @@ class SimulationService {
       changes,
     }
   }
+
+  /**
+   * Get why a usage profile cannot be simulated
+   * As in POST /api/retrieve, an amount can only be consumed from items tracking a quantity;
+   * an entry by name is refused when any unit of that name does not track one.
+   * @param {Array} itemsToBeUsedPerDay - The usage profile
+   * @param {Array} items - The items the profile can use
+   * @returns {string|null} - The reason, or null if every entry can be used
+   */
+  getUsageRefusal(itemsToBeUsedPerDay, items) {
+    for (const itemToUse of itemsToBeUsedPerDay || []) {
+      if (itemToUse.amount === undefined) continue
+
+      const untracked = items.find(
+        (item) =>
+          (itemToUse.itemId ? item.itemId === itemToUse.itemId : item.name === itemToUse.name) &&
+          !item.tracksQuantity(),
+      )
+      if (untracked) {
+        return `Item ${untracked.itemId} does not track a quantity`
+      }
+    }
+    return null
+  }
+
+  /**
+   * Use the items of one simulated day
+   * Items named instead of identified are chosen among the given items as of the given date,
+   * the way a crew member would pick a unit that day. Items tracking a quantity have the
+   * entry's amount, one unit by default, consumed as far as there is stock left. Profiles
+   * giving an amount for other items are refused beforehand by getUsageRefusal.
+   * @param {Array} itemsToBeUsedPerDay - The usage profile, entries with an itemId or a name and an optional amount
+   * @param {Map} items - Map of itemId to the items that can be used, changed in place
+   * @param {Date} date - The simulated date
+   * @returns {Array} - Array of { item, remainingUses, amount, depleted, selection }, one per use, in profile order;
+   *   amount is what was actually consumed and depleted whether this use ran the item out
+   */
+  useItemsForDay(itemsToBeUsedPerDay, items, date) {
+    const uses = []
+
+    for (const itemToUse of itemsToBeUsedPerDay || []) {
+      let item
+      let selection
+
+      // Find the item by ID or name, picking the best unit when several share the name
+      if (itemToUse.itemId) {
+        item = items.get(itemToUse.itemId)
+      } else if (itemToUse.name) {
+        const choice = retrievalService.selectItemByName(itemToUse.name, true, {
+          items: Array.from(items.values()),
+          currentDate: date,
+        })
+        item = choice ? choice.item : undefined
+        selection = choice ? choice.selection : undefined
+      }
+
+      // If item found, use it
+      if (item) {
+        const wasUsable = !item.isOutOfUses() && !item.isDepleted()
+        const quantityBefore = item.remainingQuantity
+        const remainingUses = item.use(itemToUse.amount)
+
+        uses.push({
+          item,
+          remainingUses,
+          amount: item.tracksQuantity() ? Item.roundQuantity(quantityBefore - item.remainingQuantity) : undefined,
+          depleted: wasUsable && (item.isOutOfUses() || item.isDepleted()),
+          selection,
+        })
+      }
+    }
+
+    return uses
+  }
 }
 
 export default new SimulationService()
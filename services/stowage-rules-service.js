@@ -0,0 +1,241 @@
+import db from "./database.js"
+
+/**
+ * Hazard classes items may carry and the segregation rules between them
+ * A rule either forbids two classes from sharing a container (separateContainers)
+ * or requires a minimum gap in cm between them inside a container (minDistance)
+ */
+const DEFAULT_HAZARD_RULES = {
+  classes: ["food", "chemical", "battery", "flammable", "biohazard", "medical"],
+  rules: [
+    { classes: ["food", "chemical"], separateContainers: true },
+    { classes: ["food", "biohazard"], separateContainers: true },
+    { classes: ["medical", "biohazard"], separateContainers: true },
+    { classes: ["chemical", "flammable"], separateContainers: true },
+    { classes: ["food", "battery"], minDistance: 30 },
+    { classes: ["battery", "flammable"], minDistance: 50 },
+  ],
+}
+
+/**
+ * Service for the station's stowage rules that apply on top of a container's own limits
+ */
+class StowageRulesService {
+  constructor() {
+    // Minimum fraction of an item's base that must rest on the floor or other items,
+    // e.g. MIN_SUPPORT_FRACTION=0.6. 0 allows items to be placed unsupported.
+    this.minSupportFraction = this.parseFraction(process.env.MIN_SUPPORT_FRACTION)
+
+    // Hazard rules table, HAZARD_RULES replaces the defaults with the same { classes, rules } shape
+    this.hazardRules = this.parseHazardRules(process.env.HAZARD_RULES)
+  }
+
+  /**
+   * Parse the configured minimum support fraction
+   * @param {string} value - A number from 0 to 1
+   * @returns {number} - The fraction, 0 if not configured
+   */
+  parseFraction(value) {
+    if (value === undefined || value === "") return 0
+
+    const fraction = Number.parseFloat(value)
+    if (Number.isNaN(fraction) || fraction < 0 || fraction > 1) {
+      throw new Error(`MIN_SUPPORT_FRACTION must be a number from 0 to 1, got "${value}"`)
+    }
+    return fraction
+  }
+
+  /**
+   * Parse the configured hazard rules table
+   * @param {string} value - JSON object with classes and rules
+   * @returns {Object} - The hazard rules table
+   */
+  parseHazardRules(value) {
+    if (!value) return DEFAULT_HAZARD_RULES
+
+    let table
+    try {
+      table = JSON.parse(value)
+    } catch (error) {
+      throw new Error(`HAZARD_RULES is not valid JSON: ${error.message}`)
+    }
+
+    if (!Array.isArray(table.classes) || !Array.isArray(table.rules)) {
+      throw new Error("HAZARD_RULES must have a classes array and a rules array")
+    }
+    return table
+  }
+
+  /**
+   * Get the hazard rules table
+   * @returns {Object} - The hazard classes and rules
+   */
+  getHazardRules() {
+    return this.hazardRules
+  }
+
+  /**
+   * Check whether a hazard class is known; items without a class are always valid
+   * @param {string|null} hazardClass - The hazard class
+   * @returns {boolean} - Whether the class is known
+   */
+  isKnownHazardClass(hazardClass) {
+    return !hazardClass || this.hazardRules.classes.includes(hazardClass)
+  }
+
+  /**
+   * Find the rule that applies between two hazard classes
+   * @param {string|null} classA - The first hazard class
+   * @param {string|null} classB - The second hazard class
+   * @returns {Object|null} - The rule or null if the classes may be stowed together
+   */
+  findHazardRule(classA, classB) {
+    if (!classA || !classB) return null
+
+    return (
+      this.hazardRules.rules.find(
+        ({ classes }) =>
+          (classes[0] === classA && classes[1] === classB) || (classes[0] === classB && classes[1] === classA),
+      ) || null
+    )
+  }
+
+  /**
+   * Get the shortest distance between two positions, 0 if they touch
+   * @param {Object} pos1 - The first position
+   * @param {Object} pos2 - The second position
+   * @returns {number} - The distance in cm
+   */
+  getDistance(pos1, pos2) {
+    const gap = (axis) =>
+      Math.max(
+        0,
+        pos1.startCoordinates[axis] - pos2.endCoordinates[axis],
+        pos2.startCoordinates[axis] - pos1.endCoordinates[axis],
+      )
+
+    return Math.hypot(gap("width"), gap("depth"), gap("height"))
+  }
+
+  /**
+   * Explain why an item at a position would break a hazard segregation rule
+   * @param {Container} container - The container
+   * @param {Object} item - The item to place
+   * @param {Object} position - The position to check
+   * @returns {string|null} - The reason, or null if the rules are respected
+   */
+  getHazardViolation(container, item, position) {
+    if (!item.hazardClass) return null
+
+    for (const other of container.items) {
+      if (other.itemId === item.itemId) continue
+
+      const violation = this.describeHazardViolation(container, item, position, other, other.position)
+      if (violation) return violation
+    }
+
+    return null
+  }
+
+  /**
+   * Explain how two items in the same container break a hazard segregation rule
+   * @param {Container} container - The container
+   * @param {Object} itemA - The first item
+   * @param {Object} posA - The first item's position
+   * @param {Object} itemB - The second item
+   * @param {Object} posB - The second item's position
+   * @returns {string|null} - The reason, or null if no rule is broken
+   */
+  describeHazardViolation(container, itemA, posA, itemB, posB) {
+    const rule = this.findHazardRule(itemA.hazardClass, itemB.hazardClass)
+    if (!rule) return null
+
+    const itemALabel = `Item ${itemA.itemId} (${itemA.hazardClass})`
+    const itemBLabel = `item ${itemB.itemId} (${itemB.hazardClass})`
+
+    if (rule.separateContainers) {
+      return `${itemALabel} may not share container ${container.containerId} with ${itemBLabel}`
+    }
+
+    if (rule.minDistance && this.getDistance(posA, posB) < rule.minDistance) {
+      return `${itemALabel} must be at least ${rule.minDistance} cm from ${itemBLabel}`
+    }
+
+    return null
+  }
+
+  /**
+   * Check every stored container for hazard segregation violations
+   * @returns {Object} - The compliance report
+   */
+  getComplianceReport() {
+    const violations = []
+
+    for (const container of db.getAllContainers()) {
+      // Hazard classes come from the stored items, container entries may be stale copies
+      const entries = container.items.map((entry) => ({
+        item: db.getItem(entry.itemId) || entry,
+        position: entry.position,
+      }))
+
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          const a = entries[i]
+          const b = entries[j]
+          const message = this.describeHazardViolation(container, a.item, a.position, b.item, b.position)
+          if (message) {
+            violations.push({
+              containerId: container.containerId,
+              zone: container.zone,
+              itemIds: [a.item.itemId, b.item.itemId],
+              hazardClasses: [a.item.hazardClass, b.item.hazardClass],
+              rule: this.findHazardRule(a.item.hazardClass, b.item.hazardClass),
+              message,
+            })
+          }
+        }
+      }
+    }
+
+    return {
+      success: true,
+      compliant: violations.length === 0,
+      violations,
+    }
+  }
+
+  /**
+   * Explain why an item at a position would not be supported well enough
+   * @param {Container} container - The container
+   * @param {Object} item - The item to place
+   * @param {Object} position - The position to check
+   * @returns {string|null} - The reason, or null if the item is supported
+   */
+  getSupportViolation(container, item, position) {
+    if (this.minSupportFraction <= 0) return null
+
+    const supportedFraction = container.getSupportedFraction(position)
+    if (supportedFraction + 1e-9 >= this.minSupportFraction) return null
+
+    return `Item ${item.itemId} would rest on only ${Math.round(supportedFraction * 100)}% of its base, at least ${Math.round(this.minSupportFraction * 100)}% must be supported`
+  }
+
+  /**
+   * Explain why an item may not be placed at a position, checking the container's
+   * load limits and the station's stowage rules
+   * Geometry (bounds and overlaps) is checked separately by Container.canFitItem
+   * @param {Container} container - The container
+   * @param {Object} item - The item to place
+   * @param {Object} position - The position to check
+   * @returns {string|null} - The reason, or null if the position is allowed
+   */
+  getPlacementViolation(container, item, position) {
+    return (
+      container.getLoadViolation(item, position) ||
+      this.getSupportViolation(container, item, position) ||
+      this.getHazardViolation(container, item, position)
+    )
+  }
+}
+
+export default new StowageRulesService()
@@ -0,0 +1,276 @@
+import db from "./database.js"
+import Log from "../models/log.js"
+import Undocking from "../models/undocking.js"
+import wasteService from "./waste-service.js"
+
+/**
+ * Service for the undocking lifecycle: scheduled, loading, sealed and undocked
+ * Return plan execution moves a scheduled undocking to loading; the other transitions
+ * are made here. Every undocking is kept once its container has departed.
+ */
+class UndockingService {
+  /**
+   * Schedule the undocking of a container
+   * With a weight limit, a return plan is generated and its manifest stored with the undocking
+   * @param {string} undockingContainerId - The ID of the undocking container
+   * @param {string} undockingDate - The planned date of undocking
+   * @param {number} maxWeight - The weight limit of the return plan, no plan if omitted
+   * @param {string} objective - What the return plan maximizes
+   * @param {string} userId - The user scheduling the undocking
+   * @param {string} timestamp - The timestamp of scheduling
+   * @returns {Object} - The undocking, and the return plan if one was generated
+   */
+  scheduleUndocking(undockingContainerId, undockingDate, maxWeight, objective, userId, timestamp) {
+    const container = db.getContainer(undockingContainerId)
+    if (!container) {
+      return {
+        success: false,
+        message: `Undocking container ${undockingContainerId} not found`,
+      }
+    }
+
+    const active = db.getActiveUndocking(undockingContainerId)
+    if (active) {
+      return {
+        success: false,
+        message: `Container ${undockingContainerId} already has undocking ${active.undockingId}, which is ${active.status}`,
+      }
+    }
+
+    const plan =
+      maxWeight !== undefined
+        ? wasteService.generateReturnPlan(undockingContainerId, undockingDate, maxWeight, objective)
+        : null
+
+    const undocking = new Undocking({
+      undockingId: this.nextUndockingId(),
+      undockingContainerId,
+      zone: container.zone,
+      undockingDate,
+      manifest: plan ? { ...plan.returnManifest, objective: plan.objective, maxWeight } : null,
+      history: [
+        {
+          status: "scheduled",
+          timestamp: (timestamp ? new Date(timestamp) : new Date()).toISOString(),
+          userId: userId || null,
+        },
+      ],
+    })
+    db.addUndocking(undocking)
+
+    return {
+      success: true,
+      undocking,
+      ...(plan && { returnPlan: plan.returnPlan, leftBehind: plan.leftBehind }),
+    }
+  }
+
+  /**
+   * Seal an undocking, recording the items in its container
+   * Nothing more can be loaded into a sealed container
+   * @param {string} undockingId - The ID of the undocking
+   * @param {string} userId - The user sealing it
+   * @param {string} timestamp - The timestamp of sealing
+   * @returns {Object} - The sealed undocking
+   */
+  sealUndocking(undockingId, userId, timestamp) {
+    const undocking = db.getUndocking(undockingId)
+    if (!undocking) {
+      return {
+        success: false,
+        message: `Undocking ${undockingId} not found`,
+      }
+    }
+
+    if (!undocking.canTransitionTo("sealed")) {
+      return {
+        success: false,
+        message: `Undocking ${undockingId} is ${undocking.status} and cannot be sealed`,
+      }
+    }
+
+    const refusal = this.getLoadingRefusal(undocking.undockingContainerId)
+    if (refusal) {
+      return {
+        success: false,
+        message: refusal,
+      }
+    }
+
+    const container = db.getContainer(undocking.undockingContainerId)
+    if (!container) {
+      return {
+        success: false,
+        message: `Undocking container ${undocking.undockingContainerId} not found`,
+      }
+    }
+
+    const sealed = undocking.clone()
+    sealed.setContents(this.describeContents(container))
+    sealed.transition("sealed", userId, timestamp)
+    db.updateUndocking(sealed)
+
+    return {
+      success: true,
+      undocking: sealed,
+    }
+  }
+
+  /**
+   * Complete undocking
+   * The items in the container are disposed of, the container is removed and its undocking,
+   * scheduled or not, is recorded as undocked with the items it carried away.
+   * Refused while the container's return plan is partly executed.
+   * @param {string} undockingContainerId - The ID of the undocking container
+   * @param {string} timestamp - The timestamp of undocking
+   * @param {string} userId - The user completing the undocking, "system" if omitted
+   * @returns {Object} - The result of undocking
+   */
+  completeUndocking(undockingContainerId, timestamp, userId) {
+    const undockingContainer = db.getContainer(undockingContainerId)
+
+    // If container not found, return error
+    if (!undockingContainer) {
+      return {
+        success: false,
+        message: `Undocking container ${undockingContainerId} not found`,
+      }
+    }
+
+    const refusal = this.getLoadingRefusal(undockingContainerId)
+    if (refusal) {
+      return {
+        success: false,
+        message: refusal,
+      }
+    }
+
+    // Containers undocked without being scheduled get their record now. A stored record
+    // is changed on a copy, so a failed undocking leaves it untouched
+    const active = db.getActiveUndocking(undockingContainerId)
+    const undocking = active
+      ? active.clone()
+      : new Undocking({
+          undockingId: this.nextUndockingId(),
+          undockingContainerId,
+          zone: undockingContainer.zone,
+          undockingDate: timestamp || db.getCurrentDate(),
+        })
+
+    const itemsInContainer = undockingContainer.items
+
+    db.transaction(() => {
+      undocking.setContents(this.describeContents(undockingContainer))
+
+      // Remove all items from the database
+      for (const item of itemsInContainer) {
+        db.removeItem(item.itemId)
+
+        // Log the disposal
+        const log = Log.createDisposalLog(
+          userId || "system",
+          item.itemId,
+          undockingContainerId,
+          `Undocking ${undocking.undockingId}`,
+        )
+        if (timestamp) {
+          log.timestamp = new Date(timestamp)
+        }
+        db.addLog(log)
+      }
+
+      // The container departs with its contents
+      db.removeContainer(undockingContainerId)
+      db.removeReturnPlan(undockingContainerId)
+
+      undocking.transition("undocked", userId, timestamp)
+      db.updateUndocking(undocking)
+    })
+
+    return {
+      success: true,
+      itemsRemoved: itemsInContainer.length,
+      undocking,
+    }
+  }
+
+  /**
+   * List undockings, most recently scheduled first
+   * @param {Object} filters - Optional status and undockingContainerId
+   * @returns {Array} - The matching undockings
+   */
+  getUndockings(filters = {}) {
+    return db
+      .getAllUndockings()
+      .filter((undocking) => !filters.status || undocking.status === filters.status)
+      .filter(
+        (undocking) => !filters.undockingContainerId || undocking.undockingContainerId === filters.undockingContainerId,
+      )
+      .reverse()
+  }
+
+  /**
+   * Get an undocking
+   * @param {string} undockingId - The ID of the undocking
+   * @returns {Object} - The undocking
+   */
+  getUndocking(undockingId) {
+    const undocking = db.getUndocking(undockingId)
+    if (!undocking) {
+      return {
+        success: false,
+        message: `Undocking ${undockingId} not found`,
+      }
+    }
+
+    return {
+      success: true,
+      undocking,
+    }
+  }
+
+  /**
+   * Get why a container cannot be sealed or undocked yet
+   * @param {string} undockingContainerId - The ID of the undocking container
+   * @returns {string|null} - The reason, or null if nothing is left to load
+   */
+  getLoadingRefusal(undockingContainerId) {
+    // Leaving now would leave the rest of the approved waste behind
+    const plan = db.getReturnPlan(undockingContainerId)
+    if (plan && wasteService.isPartlyExecuted(plan)) {
+      const { completed, total } = wasteService.summarizeProgress(plan)
+      return `Return plan for container ${undockingContainerId} is partly executed (${completed} of ${total} steps), finish it first`
+    }
+    return null
+  }
+
+  /**
+   * Describe the items in a container for an undocking record
+   * @param {Object} container - The undocking container
+   * @returns {Array} - Array of { itemId, name, mass, volume, wasteReason }
+   */
+  describeContents(container) {
+    const currentDate = db.getCurrentDate()
+
+    return container.items.map((entry) => {
+      const item = db.getItem(entry.itemId) || entry
+      return {
+        itemId: item.itemId,
+        name: item.name,
+        mass: item.mass || 0,
+        volume: item.width * item.depth * item.height,
+        wasteReason: item.getWasteReason ? item.getWasteReason(currentDate) : null,
+      }
+    })
+  }
+
+  /**
+   * Create the ID of a new undocking
+   * @returns {string} - The ID, numbered in scheduling order
+   */
+  nextUndockingId() {
+    return `UND-${String(db.getAllUndockings().length + 1).padStart(4, "0")}`
+  }
+}
+
+export default new UndockingService()
@@ -1,5 +1,18 @@
 import db from "./database.js"
 import Log from "../models/log.js"
+import Item from "../models/item.js"
+import retrievalPlanner from "./retrieval-planner.js"
+import retrievalService from "./retrieval-service.js"
+import simulationService from "./simulation-service.js"
+import packingEngine from "./packing-engine.js"
+import stowageRules from "./stowage-rules-service.js"
+
+// What a return plan maximizes: the volume or the mass of waste sent away
+const RETURN_OBJECTIVES = ["volume", "mass"]
+const DEFAULT_OBJECTIVE = "volume"
+
+// Number of weight steps the knapsack divides the weight limit into
+const KNAPSACK_RESOLUTION = 1000
 
 /**
  * Service for handling waste management
@@ -35,201 +48,558 @@ class WasteService {
     }
   }
 
+  /**
+   * Forecast which items become waste over the coming days
+   * Copies of the stored items are used day by day with the simulation's usage model, so
+   * nothing stored changes; an item becomes waste on the first day Item.isWaste holds for it.
+   * The cumulative totals start from the items that are already waste.
+   * @param {number} horizonDays - The number of days to forecast
+   * @param {Array} itemsToBeUsedPerDay - The expected usage profile, in the format of /api/simulate/day
+   * @returns {Object} - The waste of every day with the cumulative count, volume and mass
+   */
+  forecastWaste(horizonDays, itemsToBeUsedPerDay) {
+    const refusal = simulationService.getUsageRefusal(itemsToBeUsedPerDay, db.getAllItems())
+    if (refusal) {
+      return {
+        success: false,
+        message: refusal,
+      }
+    }
+
+    const startDate = db.getCurrentDate()
+    const items = new Map(db.getAllItems().map((item) => [item.itemId, item.clone()]))
+
+    const cumulative = { count: 0, volume: 0, mass: 0 }
+    const wasted = new Set()
+    const addWaste = (item) => {
+      wasted.add(item.itemId)
+      cumulative.count++
+      cumulative.volume += item.getVolume()
+      cumulative.mass += item.mass
+    }
+
+    for (const item of items.values()) {
+      if (item.isWaste(startDate)) {
+        addWaste(item)
+      }
+    }
+    const currentWaste = { ...cumulative }
+
+    const days = []
+    for (let day = 1; day <= horizonDays; day++) {
+      const date = new Date(startDate)
+      date.setDate(date.getDate() + day)
+
+      simulationService.useItemsForDay(itemsToBeUsedPerDay, items, date)
+
+      const newWaste = []
+      for (const item of items.values()) {
+        if (wasted.has(item.itemId) || !item.isWaste(date)) continue
+
+        addWaste(item)
+        newWaste.push({
+          itemId: item.itemId,
+          name: item.name,
+          reason: item.getWasteReason(date),
+          containerId: item.containerId,
+          volume: item.getVolume(),
+          mass: item.mass,
+        })
+      }
+
+      days.push({
+        day,
+        date: date.toISOString(),
+        newWaste,
+        cumulativeCount: cumulative.count,
+        cumulativeVolume: cumulative.volume,
+        cumulativeMass: cumulative.mass,
+      })
+    }
+
+    return {
+      success: true,
+      startDate: startDate.toISOString(),
+      horizonDays,
+      currentWaste,
+      days,
+    }
+  }
+
   /**
    * Generate a return plan for waste items
+   * Chooses the waste to return by solving a knapsack on the weight limit, then packs the
+   * choice into the undocking container, giving each item a target position. Items that
+   * do not fit are dropped and the remaining capacity is refilled with what still fits.
    * @param {string} undockingContainerId - The ID of the undocking container
    * @param {string} undockingDate - The date of undocking
    * @param {number} maxWeight - The maximum weight allowed
+   * @param {string} objective - What to maximize, one of RETURN_OBJECTIVES
    * @returns {Object} - The return plan
    */
-  generateReturnPlan(undockingContainerId, undockingDate, maxWeight) {
+  generateReturnPlan(undockingContainerId, undockingDate, maxWeight, objective = DEFAULT_OBJECTIVE) {
     const undockingContainer = db.getContainer(undockingContainerId)
 
     // If container not found, return error
     if (!undockingContainer) {
       return {
         success: false,
+        message: `Undocking container ${undockingContainerId} not found`,
+      }
+    }
+
+    const currentDate = db.getCurrentDate()
+    const value = objective === "mass" ? (item) => item.mass : (item) => item.getVolume()
+    const leftBehind = []
+    const leaveBehind = (item, reason, message) =>
+      leftBehind.push({ itemId: item.itemId, name: item.name, reason, message })
+
+    // Waste already in the undocking container is returned anyway and uses up part of the weight limit
+    const alreadyLoaded = undockingContainer.items
+      .map((entry) => db.getItem(entry.itemId))
+      .filter((item) => item && item.isWaste(currentDate))
+    const loadedWeight = alreadyLoaded.reduce((total, item) => total + item.mass, 0)
+
+    // Every other waste item that can be reached is a candidate
+    const candidates = []
+    for (const item of db.getAllItems()) {
+      if (!item.isWaste(currentDate) || item.containerId === undockingContainerId) continue
+
+      if (!db.getContainer(item.containerId) && !item.heldBy) {
+        leaveBehind(item, "unlocated", `Item ${item.itemId} is not stowed in a known container`)
+        continue
       }
+      candidates.push(item)
     }
 
-    // Get waste items
-    const wasteItems = this.identifyWasteItems().wasteItems
+    // Pack the knapsack choice, largest first, into a copy of the undocking container
+    const working = undockingContainer.clone()
+    const capacity = Math.max(maxWeight - loadedWeight, 0)
+    const selected = this.selectReturnItems(candidates, capacity, value)
+    const packed = []
+    let packedWeight = 0
+
+    const tryPack = (item) => {
+      const fit = packingEngine.findPosition(item, working, "deep-stowage")
+      if (!fit) return false
+
+      working.items.push({ ...item, position: fit.position, orientation: fit.orientation })
+      packed.push({ item, position: fit.position, orientation: fit.orientation })
+      packedWeight += item.mass
+      return true
+    }
 
-    // Sort waste items by priority (lowest first)
-    const sortedWasteItems = wasteItems.sort((a, b) => {
-      const itemA = db.getItem(a.itemId)
-      const itemB = db.getItem(b.itemId)
-      return itemA.priority - itemB.priority
-    })
+    const misfits = new Set()
+    for (const item of [...selected].sort((a, b) => b.getVolume() - a.getVolume())) {
+      if (!tryPack(item)) {
+        misfits.add(item.itemId)
+      }
+    }
 
-    // Generate return plan
+    // Refill the capacity freed by items that did not fit, best value first
+    const selectedIds = new Set(selected.map((item) => item.itemId))
+    const remaining = candidates
+      .filter((item) => !selectedIds.has(item.itemId))
+      .sort((a, b) => value(b) - value(a) || a.mass - b.mass)
+    for (const item of remaining) {
+      if (packedWeight + item.mass > capacity) {
+        leaveBehind(item, "weight", `Returning item ${item.itemId} would exceed the weight limit of ${maxWeight} kg`)
+      } else if (!tryPack(item)) {
+        leaveBehind(item, "space", `Item ${item.itemId} does not fit in undocking container ${undockingContainerId}`)
+      }
+    }
+    for (const item of selected) {
+      if (misfits.has(item.itemId)) {
+        leaveBehind(item, "space", `Item ${item.itemId} does not fit in undocking container ${undockingContainerId}`)
+      }
+    }
+
+    // Generate return plan, planning retrievals on copies of the source containers
+    // that lose each item as it is taken out, so later steps do not move it again
     const returnPlan = []
     const retrievalSteps = []
-    const returnItems = []
-    let totalWeight = 0
-    let totalVolume = 0
+    const sources = new Map()
     let step = 1
 
-    for (const wasteItem of sortedWasteItems) {
-      const item = db.getItem(wasteItem.itemId)
-
-      // Check if adding this item would exceed the max weight
-      if (totalWeight + item.mass > maxWeight) {
-        continue
-      }
-
-      // Get the container the item is in
+    for (const { item, position, orientation } of packed) {
       const container = db.getContainer(item.containerId)
-      if (!container) continue
-
-      // Calculate retrieval steps for this item
-      const itemRetrievalSteps = this.calculateRetrievalSteps(item.itemId, container)
 
       // Add to return plan
       returnPlan.push({
         step: step++,
         itemId: item.itemId,
         itemName: item.name,
-        fromContainer: container.containerId,
+        fromContainer: container ? container.containerId : null,
         toContainer: undockingContainerId,
+        toPosition: position,
+        orientation,
       })
 
-      // Add retrieval steps
-      retrievalSteps.push(...itemRetrievalSteps)
-
-      // Add to return items
-      returnItems.push({
-        itemId: item.itemId,
-        name: item.name,
-        reason: wasteItem.reason,
-      })
-
-      // Update totals
-      totalWeight += item.mass
-      totalVolume += item.getVolume()
+      // Add retrieval steps, items already in the crew's hands need none
+      if (container) {
+        if (!sources.has(container.containerId)) {
+          sources.set(container.containerId, container.clone())
+        }
+        const source = sources.get(container.containerId)
+        retrievalSteps.push(
+          ...retrievalPlanner.planRetrieval(item.itemId, source, {
+            firstStep: retrievalSteps.length + 1,
+            takeOut: true,
+          }),
+        )
+        source.removeItem(item.itemId)
+      }
     }
 
+    const returnedItems = [...alreadyLoaded, ...packed.map((placement) => placement.item)]
+
     return {
       success: true,
+      objective,
       returnPlan,
       retrievalSteps,
+      stepSchemaVersion: retrievalPlanner.getSchemaVersion(),
       returnManifest: {
         undockingContainerId,
         undockingDate,
-        returnItems,
-        totalVolume,
-        totalWeight,
+        returnItems: returnedItems.map((item) => ({
+          itemId: item.itemId,
+          name: item.name,
+          reason: item.getWasteReason(currentDate),
+        })),
+        totalVolume: returnedItems.reduce((total, item) => total + item.getVolume(), 0),
+        totalWeight: returnedItems.reduce((total, item) => total + item.mass, 0),
       },
+      leftBehind,
     }
   }
 
   /**
-   * Calculate retrieval steps for an item
-   * @param {string} itemId - The ID of the item
-   * @param {Object} container - The container the item is in
-   * @returns {Array} - The retrieval steps
+   * Get the names of the objectives a return plan can maximize
+   * @returns {Array} - The objective names
    */
-  calculateRetrievalSteps(itemId, container) {
-    const steps = []
-    let stepNumber = 1
-
-    // Get the items that need to be moved
-    const itemsToMove = container.getItemsToMove(itemId)
-
-    // If no items need to be moved, the item is directly accessible
-    if (itemsToMove.length === 0) {
-      steps.push({
-        step: stepNumber++,
-        action: "retrieve",
-        itemId: itemId,
-        itemName: db.getItem(itemId).name,
-      })
-      return steps
-    }
-
-    // Add steps to remove blocking items
-    for (const item of itemsToMove) {
-      steps.push({
-        step: stepNumber++,
-        action: "remove",
-        itemId: item.itemId,
-        itemName: item.name,
-      })
-
-      steps.push({
-        step: stepNumber++,
-        action: "setAside",
-        itemId: item.itemId,
-        itemName: item.name,
-      })
-    }
+  getObjectives() {
+    return RETURN_OBJECTIVES
+  }
 
-    // Add step to retrieve the target item
-    steps.push({
-      step: stepNumber++,
-      action: "retrieve",
-      itemId: itemId,
-      itemName: db.getItem(itemId).name,
+  /**
+   * Choose the items that return the most value within a weight limit (0/1 knapsack)
+   * Masses are rounded up to a grid of KNAPSACK_RESOLUTION steps of the capacity, so the
+   * choice never exceeds the limit
+   * @param {Array} items - The candidate items
+   * @param {number} capacity - The weight limit in kg
+   * @param {Function} value - The value of an item
+   * @returns {Array} - The chosen items
+   */
+  selectReturnItems(items, capacity, value) {
+    const unit = capacity > 0 ? capacity / KNAPSACK_RESOLUTION : 1
+    const slots = capacity > 0 ? KNAPSACK_RESOLUTION : 0
+    const weights = items.map((item) => Math.ceil(item.mass / unit - 1e-9))
+
+    // best[w] is the best value using at most w weight units, taken[i][w] whether item i is in it
+    const best = new Array(slots + 1).fill(0)
+    const taken = items.map(() => new Uint8Array(slots + 1))
+
+    items.forEach((item, i) => {
+      const itemValue = value(item)
+      for (let w = slots; w >= weights[i]; w--) {
+        if (best[w - weights[i]] + itemValue > best[w]) {
+          best[w] = best[w - weights[i]] + itemValue
+          taken[i][w] = 1
+        }
+      }
     })
 
-    // Add steps to place back the blocking items
-    for (let i = itemsToMove.length - 1; i >= 0; i--) {
-      const item = itemsToMove[i]
-      steps.push({
-        step: stepNumber++,
-        action: "placeBack",
-        itemId: item.itemId,
-        itemName: item.name,
-      })
+    // Walk back through the table to recover the choice
+    const chosen = []
+    let w = slots
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (taken[i][w]) {
+        chosen.push(items[i])
+        w -= weights[i]
+      }
     }
 
-    return steps
+    return chosen.reverse()
   }
 
   /**
-   * Complete undocking
+   * Execute an approved return plan, moving each waste item into its planned slot
+   * Passing a return plan approves it and starts its execution, calling again without one
+   * continues the stored plan, retrying a failed step. Approval moves the container's scheduled
+   * undocking to loading, and a sealed container is refused. Every step is applied atomically with
+   * its progress; execution stops at the first step that cannot be carried out.
    * @param {string} undockingContainerId - The ID of the undocking container
-   * @param {string} timestamp - The timestamp of undocking
-   * @returns {Object} - The result of undocking
+   * @param {Array|undefined} returnPlan - The returnPlan of generateReturnPlan to approve, if any
+   * @param {string} userId - The user moving the items
+   * @param {string} timestamp - The timestamp of the moves
+   * @param {number} maxSteps - The maximum number of steps to execute in this call, all if omitted
+   * @returns {Object} - The steps executed and the progress of the plan
    */
-  completeUndocking(undockingContainerId, timestamp) {
+  executeReturnPlan(undockingContainerId, returnPlan, userId, timestamp, maxSteps) {
     const undockingContainer = db.getContainer(undockingContainerId)
 
     // If container not found, return error
     if (!undockingContainer) {
       return {
         success: false,
+        message: `Undocking container ${undockingContainerId} not found`,
+      }
+    }
+
+    // A sealed container takes nothing more
+    const undocking = db.getActiveUndocking(undockingContainerId)
+    if (undocking && undocking.status === "sealed") {
+      return {
+        success: false,
+        message: `Undocking ${undocking.undockingId} of container ${undockingContainerId} is sealed`,
       }
     }
 
-    // Get all items in the undocking container
-    const itemsInContainer = undockingContainer.items
+    let plan = db.getReturnPlan(undockingContainerId)
+
+    if (returnPlan) {
+      if (plan && this.isPartlyExecuted(plan)) {
+        return {
+          success: false,
+          message: `A return plan for container ${undockingContainerId} is already partly executed, finish it first`,
+        }
+      }
+
+      const stray = returnPlan.find((step) => step.toContainer && step.toContainer !== undockingContainerId)
+      if (stray) {
+        return {
+          success: false,
+          message: `Step for item ${stray.itemId} goes to container ${stray.toContainer}, not ${undockingContainerId}`,
+        }
+      }
+
+      plan = db.putReturnPlan({
+        undockingContainerId,
+        approvedBy: userId || null,
+        approvedAt: (timestamp ? new Date(timestamp) : new Date()).toISOString(),
+        steps: returnPlan.map((step, index) => ({
+          step: index + 1,
+          itemId: step.itemId,
+          itemName: step.itemName || null,
+          fromContainer: step.fromContainer || null,
+          toContainer: undockingContainerId,
+          toPosition: step.toPosition,
+          status: "pending",
+        })),
+      })
 
-    // Remove all items from the container
-    let itemsRemoved = 0
-    for (const item of itemsInContainer) {
-      // Remove the item from the database
-      db.removeItem(item.itemId)
+      // Approving the plan starts loading the scheduled undocking
+      if (undocking && undocking.canTransitionTo("loading")) {
+        const loading = undocking.clone()
+        loading.transition("loading", userId, timestamp)
+        db.updateUndocking(loading)
+      }
+    } else if (!plan) {
+      return {
+        success: false,
+        message: `No return plan has been approved for container ${undockingContainerId}`,
+      }
+    }
+
+    const executed = []
+    let failure = null
+
+    for (const step of plan.steps) {
+      if (step.status === "done") continue
+      if (maxSteps !== undefined && executed.length >= maxSteps) break
+
+      // Each step replaces the stored container, so the next one starts from the latest copy
+      failure = this.executeReturnStep(db.getContainer(undockingContainerId), plan, step, userId, timestamp)
+      plan = db.getReturnPlan(undockingContainerId)
+
+      if (failure) {
+        plan = db.putReturnPlan(this.setStepStatus(plan, step.step, "failed", failure))
+        executed.push({ step: step.step, itemId: step.itemId, status: "failed", message: failure })
+        break
+      }
+      executed.push({ step: step.step, itemId: step.itemId, status: "done" })
+    }
 
-      // Log the disposal
-      const log = Log.createDisposalLog("system", item.itemId, undockingContainerId, "Undocking")
+    return {
+      success: !failure,
+      ...(failure && { message: failure }),
+      undockingContainerId,
+      executed,
+      progress: this.summarizeProgress(plan),
+    }
+  }
+
+  /**
+   * Move the item of one return plan step into the undocking container
+   * The item is taken out of its container, the items set aside for it are put back,
+   * and the step is marked done in the same transaction
+   * @param {Object} undockingContainer - The undocking container
+   * @param {Object} plan - The stored return plan
+   * @param {Object} step - The step to execute
+   * @param {string} userId - The user moving the item
+   * @param {string} timestamp - The timestamp of the move
+   * @returns {string|null} - Why the step cannot be carried out, or null once it is done
+   */
+  executeReturnStep(undockingContainer, plan, step, userId, timestamp) {
+    const undockingContainerId = undockingContainer.containerId
+    const item = db.getItem(step.itemId)
+    if (!item) {
+      return `Item ${step.itemId} no longer exists`
+    }
+
+    // An item already in its planned slot needs no move
+    if (item.containerId === undockingContainerId) {
+      if (!item.position || !retrievalPlanner.samePosition(item.position, step.toPosition)) {
+        return `Item ${step.itemId} is already in container ${undockingContainerId}, at another position`
+      }
+      db.putReturnPlan(this.setStepStatus(plan, step.step, "done"))
+      return null
+    }
+
+    const source = item.heldBy ? null : db.getContainer(item.containerId)
+    if (!source && !item.heldBy) {
+      return `Item ${step.itemId} is not stowed in a known container`
+    }
+
+    // Nothing leaves a container sealed for another undocking
+    const sealed = source ? db.getSealedUndocking(source.containerId) : undefined
+    if (sealed) {
+      return `Container ${source.containerId} is sealed for undocking ${sealed.undockingId}`
+    }
+
+    // Check the planned slot as it is now, other items may have been placed since the plan was made
+    const orientation = Item.getOrientationForPosition(item, step.toPosition)
+    if (!orientation) {
+      return `Planned position does not match the dimensions of item ${step.itemId} in any allowed orientation`
+    }
+    if (!undockingContainer.isSpaceFree(step.toPosition)) {
+      return `Planned position of item ${step.itemId} is outside container ${undockingContainerId} or occupied`
+    }
+    const violation = stowageRules.getPlacementViolation(undockingContainer, item, step.toPosition)
+    if (violation) {
+      return violation
+    }
+
+    const placeBacks = source ? retrievalPlanner.planPutBack(item.itemId, source, true).placeBacks : []
+
+    // Work on copies so a failed step leaves the stored objects untouched
+    const movedItem = item.clone()
+    const workingSource = source ? source.clone() : null
+    const workingContainer = undockingContainer.clone()
+
+    db.transaction(() => {
+      // Take the item out, putting back whatever was set aside to reach it
+      if (workingSource) {
+        workingSource.removeItem(item.itemId)
+        retrievalService.applyPutBack(workingSource, placeBacks, userId, timestamp)
+        db.updateContainer(workingSource)
+      }
+
+      movedItem.containerId = undockingContainerId
+      movedItem.position = step.toPosition
+      movedItem.orientation = orientation
+      movedItem.heldBy = null
+      db.updateItem(movedItem)
+
+      workingContainer.addItem(movedItem, step.toPosition)
+      db.updateContainer(workingContainer)
+
+      const log = Log.createRearrangementLog(
+        userId,
+        item.itemId,
+        source ? source.containerId : null,
+        undockingContainerId,
+      )
       if (timestamp) {
         log.timestamp = new Date(timestamp)
       }
       db.addLog(log)
 
-      itemsRemoved++
-    }
+      db.putReturnPlan(this.setStepStatus(plan, step.step, "done"))
+    })
+
+    return null
+  }
 
-    // Clear the container
-    undockingContainer.items = []
-    db.updateContainer(undockingContainer)
+  /**
+   * Get the progress of the return plan being executed for an undocking container
+   * @param {string} undockingContainerId - The ID of the undocking container
+   * @returns {Object} - The progress and the status of every step
+   */
+  getReturnProgress(undockingContainerId) {
+    const plan = db.getReturnPlan(undockingContainerId)
+    if (!plan) {
+      return {
+        success: false,
+        message: `No return plan has been approved for container ${undockingContainerId}`,
+      }
+    }
 
     return {
       success: true,
-      itemsRemoved,
+      undockingContainerId,
+      approvedBy: plan.approvedBy,
+      approvedAt: plan.approvedAt,
+      progress: this.summarizeProgress(plan),
+      steps: plan.steps,
+    }
+  }
+
+  /**
+   * Copy a return plan with the status of one step changed
+   * Stored plans are replaced rather than changed, so a rolled back transaction restores them
+   * @param {Object} plan - The return plan
+   * @param {number} stepNumber - The number of the step
+   * @param {string} status - The new status: "pending", "done" or "failed"
+   * @param {string} message - Why the step failed, if it did
+   * @returns {Object} - The updated copy of the plan
+   */
+  setStepStatus(plan, stepNumber, status, message) {
+    return {
+      ...plan,
+      steps: plan.steps.map((step) => {
+        if (step.step !== stepNumber) return step
+
+        const updated = { ...step, status }
+        if (message) {
+          updated.message = message
+        } else {
+          delete updated.message
+        }
+        return updated
+      }),
+    }
+  }
+
+  /**
+   * Count the steps of a return plan by status
+   * @param {Object} plan - The return plan
+   * @returns {Object} - The number of completed, failed and remaining steps, and whether the plan is complete
+   */
+  summarizeProgress(plan) {
+    const total = plan.steps.length
+    const completed = plan.steps.filter((step) => step.status === "done").length
+    const failed = plan.steps.filter((step) => step.status === "failed").length
+
+    return {
+      completed,
+      failed,
+      remaining: total - completed,
+      total,
+      complete: completed === total,
     }
   }
+
+  /**
+   * Check whether some, but not all, steps of a return plan have been executed
+   * @param {Object} plan - The return plan
+   * @returns {boolean} - Whether the plan is partly executed
+   */
+  isPartlyExecuted(plan) {
+    const { completed, total } = this.summarizeProgress(plan)
+    return completed > 0 && completed < total
+  }
 }
 
 export default new WasteService()
@@ -0,0 +1,1245 @@
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import request from "supertest"
+import app from "../app.js"
+import db from "../services/database.js"
+import retrievalService from "../services/retrieval-service.js"
+import wasteService from "../services/waste-service.js"
+import undockingService from "../services/undocking-service.js"
+import placementService from "../services/placement-service.js"
+import Container from "../models/container.js"
+import Item from "../models/item.js"
+
+const container = { containerId: "contA", zone: "Crew Quarters", width: 100, depth: 85, height: 200 }
+
+const item = {
+  itemId: "001",
+  name: "Food Packet",
+  width: 10,
+  depth: 10,
+  height: 20,
+  mass: 5,
+  priority: 80,
+  expiryDate: "2030-01-01",
+  usageLimit: 30,
+  preferredZone: "Crew Quarters",
+}
+
+const position = {
+  startCoordinates: { width: 50, depth: 0, height: 0 },
+  endCoordinates: { width: 60, depth: 10, height: 20 },
+}
+
+// Stow the test item through the placement API
+async function stowItem(overrides = {}) {
+  const res = await request(app)
+    .post("/api/placement")
+    .send({ items: [{ ...item, ...overrides }], containers: [container] })
+  assert.equal(res.status, 200)
+  assert.equal(res.body.success, true)
+  return res.body
+}
+
+// Stow units with related names in two zones through the placement API
+async function stowSearchItems() {
+  const items = [
+    { ...item, itemId: "001", name: "Food Packet", priority: 80, expiryDate: "2030-01-01" },
+    { ...item, itemId: "002", name: "Food Packet Spare", priority: 40, expiryDate: "2028-01-01" },
+    {
+      ...item,
+      itemId: "003",
+      name: "Dried Food Packet",
+      priority: 90,
+      expiryDate: "2027-01-01",
+      preferredZone: "Storage Bay",
+    },
+    { ...item, itemId: "004", name: "Fuel Pump", priority: 60, expiryDate: null, preferredZone: "Storage Bay" },
+  ]
+  const res = await request(app)
+    .post("/api/placement")
+    .send({ items, containers: [container, { ...container, containerId: "contB", zone: "Storage Bay" }] })
+  assert.equal(res.body.success, true)
+}
+
+describe("API routes", () => {
+  beforeEach(() => {
+    db.clear()
+  })
+
+  it("GET /health reports ok", async () => {
+    const res = await request(app).get("/health")
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { status: "ok" })
+  })
+
+  it("GET /api/routes lists every documented endpoint", async () => {
+    const res = await request(app).get("/api/routes")
+    assert.equal(res.status, 200)
+
+    const routes = res.body.routes.map((route) => `${route.method} ${route.path}`)
+    for (const expected of [
+      "POST /api/placement",
+      "GET /api/search",
+      "POST /api/retrieve",
+      "POST /api/place",
+      "GET /api/waste/identify",
+      "POST /api/waste/forecast",
+      "POST /api/waste/return-plan",
+      "POST /api/waste/return-plan/execute",
+      "GET /api/waste/return-plan/progress",
+      "POST /api/waste/complete-undocking",
+      "POST /api/simulate/day",
+      "POST /api/import/items",
+      "POST /api/import/containers",
+      "GET /api/export/arrangement",
+      "GET /api/logs",
+      "GET /api/balance",
+      "GET /api/compliance",
+      "GET /api/compliance/rules",
+      "GET /api/integrity",
+      "GET /api/undockings",
+      "POST /api/undockings",
+      "GET /api/undockings/:undockingId",
+      "POST /api/undockings/:undockingId/seal",
+      "GET /api/routes",
+      "GET /health",
+    ]) {
+      assert.ok(routes.includes(expected), `${expected} is not registered`)
+    }
+  })
+
+  it("POST /api/placement places items and stores them", async () => {
+    const body = await stowItem()
+    assert.equal(body.placements.length, 1)
+    assert.equal(body.placements[0].containerId, "contA")
+    assert.equal(db.getItem("001").containerId, "contA")
+  })
+
+  it("POST /api/placement with dryRun returns the plan without changing anything", async () => {
+    await stowItem()
+    const logCount = db.getLogs().length
+
+    const res = await request(app)
+      .post("/api/placement")
+      .send({ items: [{ ...item, itemId: "002" }], containers: [container], dryRun: true })
+    assert.equal(res.body.success, true)
+    assert.equal(res.body.dryRun, true)
+    assert.equal(res.body.placements[0].itemId, "002")
+
+    assert.equal(db.getItem("002"), undefined)
+    assert.deepEqual(
+      db.getContainer("contA").items.map((entry) => entry.itemId),
+      ["001"],
+    )
+    assert.equal(db.getLogs().length, logCount)
+  })
+
+  it("POST /api/placement rolls back every write when the commit fails", async () => {
+    await stowItem()
+    const logCount = db.getLogs().length
+
+    // The containers and items are written before the logs, so this fails mid-commit
+    const addLog = db.addLog
+    db.addLog = () => {
+      throw new Error("Log store unavailable")
+    }
+    let res
+    try {
+      res = await request(app)
+        .post("/api/placement")
+        .send({ items: [{ ...item, itemId: "002" }], containers: [container] })
+    } finally {
+      db.addLog = addLog
+    }
+    assert.equal(res.body.success, false)
+    assert.match(res.body.message, /unavailable/)
+
+    assert.equal(db.getItem("002"), undefined)
+    assert.deepEqual(
+      db.getContainer("contA").items.map((entry) => entry.itemId),
+      ["001"],
+    )
+    assert.equal(db.getLogs().length, logCount)
+
+    // A step that cannot be applied undoes the steps before it
+    const plan = {
+      placements: [
+        { itemId: "002", containerId: "contA", position },
+        { itemId: "003", containerId: "contA", position },
+      ],
+      rearrangements: [],
+    }
+    const items = ["002", "003"].map((itemId) => new Item({ ...item, itemId }))
+    const commit = placementService.commitPlacement(plan, items, [])
+    assert.equal(commit.success, false)
+    assert.match(commit.message, /Item 003 cannot be placed/)
+    assert.equal(db.getItem("002"), undefined)
+    assert.equal(db.getContainer("contA").items.length, 1)
+  })
+
+  it("POST /api/placement never overlaps cargo already stowed in a container", async () => {
+    const small = { ...container, width: 40, depth: 40, height: 40 }
+    db.addContainer(new Container(small))
+    const stowed = [
+      ["s1", { width: 0, depth: 0, height: 0 }, { width: 20, depth: 10, height: 20 }],
+      ["s2", { width: 20, depth: 0, height: 0 }, { width: 30, depth: 30, height: 10 }],
+      ["s3", { width: 0, depth: 20, height: 0 }, { width: 15, depth: 40, height: 40 }],
+    ]
+    for (const [itemId, start, end] of stowed) {
+      const unit = new Item({
+        ...item,
+        itemId,
+        width: end.width - start.width,
+        depth: end.depth - start.depth,
+        height: end.height - start.height,
+        containerId: "contA",
+      })
+      unit.position = { startCoordinates: start, endCoordinates: end }
+      unit.orientation = "WDH"
+      db.addItem(unit)
+      const stored = db.getContainer("contA")
+      stored.items.push({ ...unit })
+      db.updateContainer(stored)
+    }
+
+    const items = Array.from({ length: 8 }, (_, i) => ({
+      ...item,
+      itemId: `n${i}`,
+      width: 10 + (i % 3) * 5,
+      depth: 10,
+      height: 10 + (i % 2) * 10,
+    }))
+    const res = await request(app)
+      .post("/api/placement")
+      .send({ items, containers: [small] })
+    assert.equal(res.body.success, true)
+    assert.ok(res.body.placements.length > 0)
+    assert.deepEqual(res.body.rearrangements, [])
+
+    // The stowed cargo stays where it was and nothing shares space with it or with each other
+    const stored = db.getContainer("contA")
+    for (const [itemId, start, end] of stowed) {
+      assert.deepEqual(stored.findItem(itemId).position, { startCoordinates: start, endCoordinates: end })
+    }
+    for (const [i, a] of stored.items.entries()) {
+      for (const b of stored.items.slice(i + 1)) {
+        assert.ok(!stored.itemsOverlap(a.position, b.position), `${a.itemId} overlaps ${b.itemId}`)
+      }
+    }
+    assert.equal(stored.items.length, stowed.length + res.body.placements.length)
+  })
+
+  it("POST /api/placement moves a re-submitted item instead of stowing it twice", async () => {
+    await stowItem()
+    await stowItem({ priority: 10 })
+
+    const stored = db.getContainer("contA").items.filter((entry) => entry.itemId === "001")
+    assert.equal(stored.length, 1)
+    assert.deepEqual(stored[0].position, db.getItem("001").position)
+    assert.equal(db.getItem("001").priority, 10)
+
+    const integrity = await request(app).get("/api/integrity")
+    assert.equal(integrity.body.consistent, true)
+  })
+
+  it("POST /api/placement accepts manifests larger than the default body limit", async () => {
+    const items = Array.from({ length: 1000 }, (_, i) => ({ ...item, itemId: `item${i}`, name: `Food Packet ${i}` }))
+    const res = await request(app).post("/api/placement").send({ items, containers: [] })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.placements.length, 0)
+  })
+
+  it("POST /api/placement rejects an unknown strategy", async () => {
+    const res = await request(app)
+      .post("/api/placement")
+      .send({ items: [item], containers: [container], strategy: "random" })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.errors[0].field, "strategy")
+  })
+
+  it("POST /api/placement rejects non-array input", async () => {
+    const res = await request(app).post("/api/placement").send({ items: {}, containers: [] })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.success, false)
+  })
+
+  it("POST /api/placement lists every invalid field", async () => {
+    const res = await request(app)
+      .post("/api/placement")
+      .send({ items: [{ ...item, width: -1, priority: "high" }], containers: [{ ...container, zone: undefined }] })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.success, false)
+    assert.deepEqual(res.body.errors, [
+      { field: "items[0].width", message: "must be greater than 0" },
+      { field: "items[0].priority", message: "must be a number" },
+      { field: "containers[0].zone", message: "is required" },
+    ])
+  })
+
+  it("POST /api/placement rejects malformed JSON as an invalid request", async () => {
+    const res = await request(app).post("/api/placement").set("Content-Type", "application/json").send('{"items": [')
+    assert.equal(res.status, 400)
+    assert.equal(res.body.success, false)
+    assert.deepEqual(res.body.errors, [{ field: "body", message: "must be valid JSON" }])
+  })
+
+  it("POST /api/placement validates the bounds of every zone", async () => {
+    const res = await request(app)
+      .post("/api/placement")
+      .send({
+        items: [item],
+        containers: [container],
+        zoneMassBounds: { Airlock: { max: "heavy" }, "Crew Quarters": { min: 10, max: 5 }, Laboratory: 3 },
+      })
+    assert.equal(res.status, 400)
+    assert.deepEqual(
+      res.body.errors.map((error) => error.field),
+      ["zoneMassBounds.Airlock.max", "zoneMassBounds.Crew Quarters", "zoneMassBounds.Laboratory"],
+    )
+  })
+
+  it("GET /api/search finds a stowed item with its retrieval steps", async () => {
+    await stowItem()
+    const res = await request(app).get("/api/search").query({ itemId: "001" })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.found, true)
+    assert.equal(res.body.item.containerId, "contA")
+    assert.equal(res.body.retrievalSteps.at(-1).action, "retrieve")
+  })
+
+  it("GET /api/search ranks query matches", async () => {
+    await stowItem()
+    const res = await request(app).get("/api/search").query({ query: "food" })
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.results.map((result) => result.itemId),
+      ["001"],
+    )
+  })
+
+  it("GET /api/search ranks exact, prefix and substring matches regardless of case", async () => {
+    await stowSearchItems()
+    for (const query of ["food packet", "FOOD PACKET"]) {
+      const res = await request(app).get("/api/search").query({ query })
+      assert.deepEqual(
+        res.body.results.map((result) => [result.itemId, result.score]),
+        [
+          ["001", 1],
+          ["002", 0.9],
+          ["003", 0.8],
+        ],
+      )
+    }
+  })
+
+  it("GET /api/search tolerates typos and partial words", async () => {
+    await stowSearchItems()
+    for (const query of ["fod packt", "foo pack"]) {
+      const res = await request(app).get("/api/search").query({ query })
+      assert.deepEqual(res.body.results.map((result) => result.itemId).sort(), ["001", "002", "003"])
+      // Fuzzy matches score below every literal match
+      for (const result of res.body.results) {
+        assert.ok(result.score >= 0.5 && result.score < 0.8)
+      }
+    }
+
+    const res = await request(app).get("/api/search").query({ query: "xylophone" })
+    assert.equal(res.body.found, false)
+  })
+
+  it("GET /api/search orders equal matches by retrieval steps, then priority", async () => {
+    await stowSearchItems()
+    const res = await request(app).get("/api/search").query({ query: "fod packt" })
+    // 003 and 001 both sit in front, 003 has the higher priority; 002 is behind 001
+    assert.deepEqual(
+      res.body.results.map((result) => [result.itemId, result.retrievalSteps]),
+      [
+        ["003", 0],
+        ["001", 0],
+        ["002", 1],
+      ],
+    )
+  })
+
+  it("GET /api/search applies zone, container, expiry and priority filters", async () => {
+    await stowSearchItems()
+    const search = async (query) =>
+      (await request(app).get("/api/search").query(query)).body.results.map((result) => result.itemId).sort()
+
+    assert.deepEqual(await search({ query: "food", zone: "Storage Bay" }), ["003"])
+    assert.deepEqual(await search({ zone: "Storage Bay" }), ["003", "004"])
+    assert.deepEqual(await search({ containerId: "contA" }), ["001", "002"])
+    assert.deepEqual(await search({ expiresBefore: "2028-06-01" }), ["002", "003"])
+    assert.deepEqual(await search({ expiresAfter: "2028-06-01" }), ["001"])
+    assert.deepEqual(await search({ minPriority: 70 }), ["001", "003"])
+    assert.deepEqual(await search({ minPriority: 50, maxPriority: 85 }), ["001", "004"])
+    assert.deepEqual(await search({ query: "food", limit: 1 }), ["001"])
+  })
+
+  it("POST /api/retrieve uses the item and logs the retrieval", async () => {
+    await stowItem()
+    const res = await request(app).post("/api/retrieve").send({ itemId: "001", userId: "astro" })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.success, true)
+    assert.equal(db.getItem("001").remainingUses, 29)
+    assert.equal(db.getLogs({ actionType: "retrieval" }).length, 1)
+  })
+
+  it("POST /api/retrieve takes an item out into the crew's hands until it is placed again", async () => {
+    await stowItem()
+    const res = await request(app)
+      .post("/api/retrieve")
+      .send({ itemId: "001", userId: "astro", timestamp: "2030-01-01T10:00:00.000Z", mode: "take-out" })
+    assert.equal(res.body.success, true)
+    assert.deepEqual(res.body.heldBy, { userId: "astro", fromContainer: "contA", since: "2030-01-01T10:00:00.000Z" })
+    assert.equal(db.getContainer("contA").findItem("001"), null)
+    assert.equal(db.getItem("001").containerId, null)
+
+    const search = await request(app).get("/api/search").query({ itemId: "001" })
+    assert.equal(search.body.item.containerId, null)
+    assert.equal(search.body.item.heldBy.userId, "astro")
+    assert.deepEqual(search.body.retrievalSteps, [])
+
+    const again = await request(app).post("/api/retrieve").send({ itemId: "001", mode: "take-out" })
+    assert.equal(again.body.success, false)
+    const inHand = await request(app).post("/api/retrieve").send({ itemId: "001" })
+    assert.equal(inHand.body.success, true)
+    assert.equal(db.getItem("001").remainingUses, 28)
+
+    const placed = await request(app).post("/api/place").send({ itemId: "001", containerId: "contA", position })
+    assert.equal(placed.body.success, true)
+    assert.equal(db.getItem("001").heldBy, null)
+    assert.equal(db.getContainer("contA").findItem("001").itemId, "001")
+    const integrity = await request(app).get("/api/integrity")
+    assert.equal(integrity.body.consistent, true)
+  })
+
+  it("retrieveItem leaves the stored item and container untouched when a take-out fails", async () => {
+    await stowItem()
+    const addLog = db.addLog
+    db.addLog = () => {
+      throw new Error("Log store unavailable")
+    }
+    try {
+      assert.throws(() => retrievalService.retrieveItem("001", "astro", undefined, "take-out"), /unavailable/)
+    } finally {
+      db.addLog = addLog
+    }
+
+    const stored = db.getItem("001")
+    assert.equal(stored.remainingUses, 30)
+    assert.equal(stored.containerId, "contA")
+    assert.equal(stored.heldBy, null)
+    assert.equal(db.getContainer("contA").findItem("001").itemId, "001")
+  })
+
+  it("POST /api/retrieve consumes an amount of bulk stock until it is depleted", async () => {
+    await stowItem({ name: "Wipes", quantity: 40, unit: "wipes" })
+    const res = await request(app).post("/api/retrieve").send({ itemId: "001", amount: 15 })
+    assert.equal(res.body.success, true)
+    assert.equal(res.body.remainingQuantity, 25)
+    assert.equal(res.body.unit, "wipes")
+    assert.equal(db.getLogs({ actionType: "retrieval" })[0].details.amount, 15)
+
+    const tooMuch = await request(app).post("/api/retrieve").send({ itemId: "001", amount: 30 })
+    assert.equal(tooMuch.body.success, false)
+    assert.equal(db.getItem("001").remainingQuantity, 25)
+
+    await request(app).post("/api/retrieve").send({ itemId: "001", amount: 25 })
+    const waste = await request(app).get("/api/waste/identify")
+    assert.deepEqual(
+      waste.body.wasteItems.map((wasteItem) => [wasteItem.itemId, wasteItem.reason]),
+      [["001", "Depleted"]],
+    )
+  })
+
+  it("POST /api/retrieve uses up bulk stock by quantity, not by its usage limit", async () => {
+    await stowItem({ name: "Wipes", quantity: 40, unit: "wipes", usageLimit: 5 })
+    for (let i = 0; i < 6; i++) {
+      const res = await request(app).post("/api/retrieve").send({ itemId: "001" })
+      assert.equal(res.body.success, true)
+    }
+
+    assert.equal(db.getItem("001").remainingQuantity, 34)
+    assert.equal(db.getItem("001").remainingUses, 5)
+    const waste = await request(app).get("/api/waste/identify")
+    assert.deepEqual(waste.body.wasteItems, [])
+  })
+
+  it("POST /api/retrieve by name never uses up a similarly named item", async () => {
+    await stowItem({ name: "Waste Bag", usageLimit: 5 })
+
+    const res = await request(app).post("/api/retrieve").send({ itemName: "Water Bag" })
+    assert.equal(res.body.success, false)
+    assert.equal(db.getItem("001").remainingUses, 5)
+
+    // Search still falls back to the closest name and says so
+    const search = await request(app).get("/api/search").query({ itemName: "Water Bag" })
+    assert.equal(search.body.item.itemId, "001")
+    assert.match(search.body.selection.reason, /^No item named "Water Bag", closest match "Waste Bag"/)
+  })
+
+  it("GET /api/search chooses among same-name units by retrieval steps, then expiry", async () => {
+    db.addContainer(new Container(container))
+    const stow = (itemId, expiryDate, start) => {
+      const unit = new Item({ ...item, itemId, expiryDate, containerId: "contA" })
+      unit.position = {
+        startCoordinates: start,
+        endCoordinates: { width: start.width + 10, depth: start.depth + 10, height: start.height + 20 },
+      }
+      unit.orientation = "WDH"
+      db.addItem(unit)
+      const stored = db.getContainer("contA")
+      stored.items.push({ ...unit })
+      db.updateContainer(stored)
+    }
+    // "behind" expires soonest but is blocked by "front"; "side" and "front" are both in reach
+    stow("front", "2031-01-01", { width: 0, depth: 0, height: 0 })
+    stow("behind", "2029-01-01", { width: 0, depth: 10, height: 0 })
+    stow("side", "2030-01-01", { width: 50, depth: 0, height: 0 })
+
+    const tied = await request(app).get("/api/search").query({ itemName: "Food Packet" })
+    assert.equal(tied.body.item.itemId, "side")
+    assert.equal(tied.body.selection.candidates, 3)
+    assert.equal(tied.body.selection.retrievalSteps, 0)
+    assert.equal(tied.body.selection.expiryDate, "2030-01-01T00:00:00.000Z")
+    assert.equal(
+      tied.body.selection.reason,
+      'Chosen among 3 units named "Food Packet": tied with 1 other unit(s) on 0 retrieval step(s); ' +
+        "expires soonest (2030-01-01T00:00:00.000Z)",
+    )
+
+    // Once "side" is taken out, "front" is the only unit in reach
+    await request(app).post("/api/retrieve").send({ itemId: "side", mode: "take-out" })
+    const fewest = await request(app).get("/api/search").query({ itemName: "Food Packet" })
+    assert.equal(fewest.body.item.itemId, "front")
+    assert.equal(
+      fewest.body.selection.reason,
+      'Chosen among 3 units named "Food Packet": fewest retrieval steps (0 retrieval step(s))',
+    )
+  })
+
+  it("explains every not-found failure with a message", async () => {
+    const responses = await Promise.all([
+      request(app).post("/api/retrieve").send({ itemId: "missing" }),
+      request(app).post("/api/retrieve").send({ itemName: "Missing" }),
+      request(app).post("/api/place").send({ itemId: "missing", containerId: "contA", position }),
+      request(app)
+        .post("/api/waste/return-plan")
+        .send({ undockingContainerId: "missing", undockingDate: "2030-01-01", maxWeight: 100 }),
+    ])
+    for (const res of responses) {
+      assert.equal(res.status, 200)
+      assert.equal(res.body.success, false)
+      assert.match(res.body.message, /not found|No item named/)
+    }
+
+    await stowItem()
+    db.removeContainer("contA")
+    const unstowed = await request(app).post("/api/retrieve").send({ itemId: "001" })
+    assert.equal(unstowed.body.message, "Item 001 is not stowed in a known container")
+    const noContainer = await request(app).post("/api/place").send({ itemId: "001", containerId: "contA", position })
+    assert.equal(noContainer.body.message, "Container contA not found")
+  })
+
+  it("POST /api/retrieve requires an item", async () => {
+    const res = await request(app).post("/api/retrieve").send({})
+    assert.equal(res.status, 400)
+  })
+
+  it("POST /api/place moves an item to the given position", async () => {
+    await stowItem()
+    const res = await request(app)
+      .post("/api/place")
+      .send({ itemId: "001", userId: "astro", containerId: "contA", position })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.success, true)
+    assert.deepEqual(db.getItem("001").position, position)
+  })
+
+  it("POST /api/place requires a position", async () => {
+    const res = await request(app).post("/api/place").send({ itemId: "001", containerId: "contA" })
+    assert.equal(res.status, 400)
+  })
+
+  it("POST /api/place rejects a malformed position", async () => {
+    const res = await request(app)
+      .post("/api/place")
+      .send({
+        itemId: "001",
+        containerId: "contA",
+        position: { startCoordinates: { width: 0, depth: 0, height: 0 }, endCoordinates: { width: 0, depth: 10 } },
+      })
+    assert.equal(res.status, 400)
+    assert.deepEqual(res.body.errors, [{ field: "position.endCoordinates.height", message: "is required" }])
+  })
+
+  it("GET /api/waste/identify lists expired items", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    const res = await request(app).get("/api/waste/identify")
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.wasteItems.map((wasteItem) => wasteItem.itemId),
+      ["001"],
+    )
+  })
+
+  it("POST /api/waste/forecast predicts when items run out without using them", async () => {
+    await stowItem({ usageLimit: 2 })
+    const res = await request(app)
+      .post("/api/waste/forecast")
+      .send({ horizonDays: 3, itemsToBeUsedPerDay: [{ name: "Food Packet" }] })
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.days.map((day) => [day.newWaste.map((waste) => waste.reason), day.cumulativeMass]),
+      [
+        [[], 0],
+        [["Out of Uses"], 5],
+        [[], 5],
+      ],
+    )
+    assert.equal(res.body.days[1].cumulativeVolume, 2000)
+    assert.equal(db.getItem("001").remainingUses, 2)
+  })
+
+  it("POST /api/waste/return-plan plans the return of waste items", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    const res = await request(app)
+      .post("/api/waste/return-plan")
+      .send({ undockingContainerId: "contA", undockingDate: "2030-01-01", maxWeight: 100 })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.success, true)
+    assert.equal(res.body.returnManifest.returnItems.length, 1)
+  })
+
+  it("POST /api/waste/return-plan packs waste into the undocking container and reports what is left behind", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    await stowItem({ itemId: "002", name: "Old Tank", width: 40, depth: 40, height: 40, expiryDate: "2000-01-01" })
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+
+    const res = await request(app)
+      .post("/api/waste/return-plan")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01", maxWeight: 100 })
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.returnPlan.map((step) => [step.itemId, step.toContainer]),
+      [["001", "contU"]],
+    )
+    assert.ok(res.body.returnPlan[0].toPosition)
+    assert.deepEqual(
+      res.body.leftBehind.map((entry) => [entry.itemId, entry.reason]),
+      [["002", "space"]],
+    )
+  })
+
+  it("POST /api/waste/return-plan does not move waste that an earlier step already took out", async () => {
+    db.addContainer(new Container(container))
+    const stow = (data, start, end) => {
+      const waste = new Item({ ...item, ...data, expiryDate: "2000-01-01", containerId: "contA" })
+      waste.position = { startCoordinates: start, endCoordinates: end }
+      waste.orientation = "WDH"
+      db.addItem(waste)
+      const stored = db.getContainer("contA")
+      stored.items.push({ ...waste })
+      db.updateContainer(stored)
+    }
+    // The larger front item is returned first, then the small one behind it
+    stow(
+      { itemId: "front", width: 30, depth: 20, height: 30 },
+      { width: 0, depth: 0, height: 0 },
+      { width: 30, depth: 20, height: 30 },
+    )
+    stow(
+      { itemId: "back", width: 10, depth: 10, height: 10 },
+      { width: 0, depth: 20, height: 0 },
+      { width: 10, depth: 30, height: 10 },
+    )
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 60, depth: 60, height: 60 }))
+
+    const res = await request(app)
+      .post("/api/waste/return-plan")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01", maxWeight: 100 })
+    assert.deepEqual(
+      res.body.returnPlan.map((entry) => entry.itemId),
+      ["front", "back"],
+    )
+    assert.deepEqual(
+      res.body.retrievalSteps.map((entry) => [entry.action, entry.itemId]),
+      [
+        ["retrieve", "front"],
+        ["retrieve", "back"],
+      ],
+    )
+  })
+
+  it("POST /api/waste/return-plan/execute moves waste into the undocking container step by step", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    await stowItem({ itemId: "002", expiryDate: "2000-01-01" })
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+
+    const plan = await request(app)
+      .post("/api/waste/return-plan")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01", maxWeight: 100 })
+    assert.equal(plan.body.returnPlan.length, 2)
+
+    const first = await request(app)
+      .post("/api/waste/return-plan/execute")
+      .send({ undockingContainerId: "contU", returnPlan: plan.body.returnPlan, maxSteps: 1, userId: "astro" })
+    assert.equal(first.status, 200)
+    assert.equal(first.body.success, true)
+    assert.deepEqual(first.body.progress, { completed: 1, failed: 0, remaining: 1, total: 2, complete: false })
+
+    const movedId = first.body.executed[0].itemId
+    assert.equal(db.getItem(movedId).containerId, "contU")
+    assert.deepEqual(db.getItem(movedId).position, plan.body.returnPlan[0].toPosition)
+    assert.equal(db.getLogs({ actionType: "rearrangement", itemId: movedId })[0].details.toContainer, "contU")
+
+    // Undocking is refused until the rest of the plan is executed
+    const refused = await request(app).post("/api/waste/complete-undocking").send({ undockingContainerId: "contU" })
+    assert.equal(refused.body.success, false)
+    assert.equal(db.getContainer("contU").items.length, 1)
+
+    const second = await request(app).post("/api/waste/return-plan/execute").send({ undockingContainerId: "contU" })
+    assert.equal(second.body.progress.complete, true)
+
+    const progress = await request(app).get("/api/waste/return-plan/progress").query({ undockingContainerId: "contU" })
+    assert.deepEqual(
+      progress.body.steps.map((step) => step.status),
+      ["done", "done"],
+    )
+
+    const undocked = await request(app).post("/api/waste/complete-undocking").send({ undockingContainerId: "contU" })
+    assert.equal(undocked.body.itemsRemoved, 2)
+    assert.equal(db.getReturnPlan("contU"), undefined)
+  })
+
+  it("POST /api/waste/return-plan/execute stops at a step whose slot is taken", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+    const toPosition = {
+      startCoordinates: { width: 0, depth: 0, height: 0 },
+      endCoordinates: { width: 10, depth: 10, height: 20 },
+    }
+
+    // Another item takes the slot after the plan was made
+    const blocker = db.getContainer("contU")
+    blocker.items.push({ itemId: "x", position: toPosition })
+
+    const res = await request(app)
+      .post("/api/waste/return-plan/execute")
+      .send({ undockingContainerId: "contU", returnPlan: [{ itemId: "001", toContainer: "contU", toPosition }] })
+    assert.equal(res.body.success, false)
+    assert.equal(res.body.executed[0].status, "failed")
+    assert.equal(db.getItem("001").containerId, "contA")
+  })
+
+  it("executeReturnPlan leaves the stored items and containers untouched when a step fails", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+    const toPosition = {
+      startCoordinates: { width: 0, depth: 0, height: 0 },
+      endCoordinates: { width: 10, depth: 10, height: 20 },
+    }
+
+    const addLog = db.addLog
+    db.addLog = () => {
+      throw new Error("Log store unavailable")
+    }
+    try {
+      assert.throws(
+        () => wasteService.executeReturnPlan("contU", [{ itemId: "001", toContainer: "contU", toPosition }], "astro"),
+        /unavailable/,
+      )
+    } finally {
+      db.addLog = addLog
+    }
+
+    assert.equal(db.getItem("001").containerId, "contA")
+    assert.equal(db.getContainer("contA").findItem("001").itemId, "001")
+    assert.equal(db.getContainer("contU").items.length, 0)
+  })
+
+  it("POST /api/waste/complete-undocking removes the undocked items and container", async () => {
+    await stowItem()
+    const res = await request(app)
+      .post("/api/waste/complete-undocking")
+      .send({ undockingContainerId: "contA", userId: "astro" })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.itemsRemoved, 1)
+    assert.equal(db.getItem("001"), undefined)
+    assert.equal(db.getContainer("contA"), undefined)
+    assert.equal(res.body.undocking.status, "undocked")
+    assert.equal(db.getLogs({ actionType: "disposal" })[0].userId, "astro")
+  })
+
+  it("/api/undockings tracks an undocking from scheduling to departure", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01", maxWeight: 100, userId: "astro" })
+    assert.equal(scheduled.body.success, true)
+    const { undockingId } = scheduled.body.undocking
+    assert.equal(scheduled.body.undocking.status, "scheduled")
+    assert.equal(scheduled.body.undocking.manifest.returnItems.length, 1)
+
+    const again = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01" })
+    assert.equal(again.body.success, false)
+
+    await request(app)
+      .post("/api/waste/return-plan/execute")
+      .send({ undockingContainerId: "contU", returnPlan: scheduled.body.returnPlan })
+    const loading = await request(app).get(`/api/undockings/${undockingId}`)
+    assert.equal(loading.body.undocking.status, "loading")
+
+    const sealed = await request(app).post(`/api/undockings/${undockingId}/seal`).send({ userId: "astro" })
+    assert.equal(sealed.body.undocking.status, "sealed")
+    assert.deepEqual(
+      sealed.body.undocking.items.map((entry) => [entry.itemId, entry.wasteReason]),
+      [["001", "Expired"]],
+    )
+    assert.equal(sealed.body.undocking.totalWeight, 5)
+    assert.equal(sealed.body.undocking.totalVolume, 2000)
+
+    await request(app).post("/api/waste/complete-undocking").send({ undockingContainerId: "contU" })
+    const list = await request(app).get("/api/undockings").query({ status: "undocked" })
+    assert.deepEqual(
+      list.body.undockings.map((undocking) => [undocking.undockingId, undocking.items.length]),
+      [[undockingId, 1]],
+    )
+    assert.deepEqual(
+      list.body.undockings[0].history.map((entry) => entry.status),
+      ["scheduled", "loading", "sealed", "undocked"],
+    )
+  })
+
+  it("completeUndocking leaves the stored undocking untouched when it fails", async () => {
+    await stowItem()
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contA", undockingDate: "2030-01-01" })
+    const { undockingId } = scheduled.body.undocking
+
+    const addLog = db.addLog
+    db.addLog = () => {
+      throw new Error("Log store unavailable")
+    }
+    try {
+      assert.throws(() => undockingService.completeUndocking("contA"), /unavailable/)
+    } finally {
+      db.addLog = addLog
+    }
+
+    const undocking = db.getUndocking(undockingId)
+    assert.equal(undocking.status, "scheduled")
+    assert.deepEqual(undocking.items, [])
+    assert.equal(undocking.history.length, 1)
+    assert.equal(db.getItem("001").containerId, "contA")
+  })
+
+  it("POST /api/place refuses a container sealed for undocking", async () => {
+    await stowItem()
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01" })
+    await request(app).post(`/api/undockings/${scheduled.body.undocking.undockingId}/seal`).send({})
+
+    const res = await request(app).post("/api/place").send({ itemId: "001", containerId: "contU", position })
+    assert.equal(res.body.success, false)
+    assert.match(res.body.message, /sealed/)
+  })
+
+  it("POST /api/place refuses to move an item out of a sealed container", async () => {
+    await stowItem()
+    db.addContainer(new Container({ ...container, containerId: "contB" }))
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contA", undockingDate: "2030-01-01" })
+    await request(app).post(`/api/undockings/${scheduled.body.undocking.undockingId}/seal`).send({})
+
+    const res = await request(app).post("/api/place").send({ itemId: "001", containerId: "contB", position })
+    assert.equal(res.body.success, false)
+    assert.match(res.body.message, /Container contA is sealed/)
+    assert.equal(db.getItem("001").containerId, "contA")
+    assert.equal(db.getContainer("contB").items.length, 0)
+  })
+
+  it("POST /api/waste/return-plan/execute refuses to take waste out of a sealed container", async () => {
+    await stowItem({ expiryDate: "2000-01-01" })
+    db.addContainer(new Container({ containerId: "contU", zone: "Airlock", width: 30, depth: 30, height: 30 }))
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contA", undockingDate: "2030-01-01" })
+    await request(app).post(`/api/undockings/${scheduled.body.undocking.undockingId}/seal`).send({})
+
+    const toPosition = {
+      startCoordinates: { width: 0, depth: 0, height: 0 },
+      endCoordinates: { width: 10, depth: 10, height: 20 },
+    }
+    const res = await request(app)
+      .post("/api/waste/return-plan/execute")
+      .send({ undockingContainerId: "contU", returnPlan: [{ itemId: "001", toContainer: "contU", toPosition }] })
+    assert.equal(res.body.success, false)
+    assert.match(res.body.message, /Container contA is sealed/)
+    assert.equal(db.getItem("001").containerId, "contA")
+  })
+
+  it("POST /api/placement leaves out containers sealed for undocking", async () => {
+    const sealedContainer = { ...container, containerId: "contU" }
+    db.addContainer(new Container(sealedContainer))
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contU", undockingDate: "2030-01-01" })
+    await request(app).post(`/api/undockings/${scheduled.body.undocking.undockingId}/seal`).send({})
+
+    const res = await request(app)
+      .post("/api/placement")
+      .send({ items: [item], containers: [sealedContainer, container] })
+    assert.equal(res.body.success, true)
+    assert.equal(res.body.placements[0].containerId, "contA")
+    assert.equal(db.getContainer("contU").items.length, 0)
+
+    // A plan made before sealing is refused when it is committed
+    const plan = {
+      placements: [{ itemId: "002", containerId: "contU", position }],
+      rearrangements: [],
+    }
+    const commit = placementService.commitPlacement(plan, [new Item({ ...item, itemId: "002" })], [])
+    assert.equal(commit.success, false)
+    assert.match(commit.message, /sealed/)
+    assert.equal(db.getItem("002"), undefined)
+  })
+
+  it("POST /api/retrieve refuses to take an item out of a sealed container", async () => {
+    await stowItem()
+    const scheduled = await request(app)
+      .post("/api/undockings")
+      .send({ undockingContainerId: "contA", undockingDate: "2030-01-01" })
+    await request(app).post(`/api/undockings/${scheduled.body.undocking.undockingId}/seal`).send({})
+
+    const takeOut = await request(app).post("/api/retrieve").send({ itemId: "001", mode: "take-out" })
+    assert.equal(takeOut.body.success, false)
+    assert.match(takeOut.body.message, /sealed/)
+    assert.equal(db.getItem("001").containerId, "contA")
+
+    const inPlace = await request(app).post("/api/retrieve").send({ itemId: "001" })
+    assert.equal(inPlace.body.success, true)
+  })
+
+  it("POST /api/simulate/day advances the date and uses items", async () => {
+    await stowItem()
+    const res = await request(app)
+      .post("/api/simulate/day")
+      .send({ numOfDays: 1, itemsToBeUsedPerDay: [{ itemId: "001" }] })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.success, true)
+    assert.equal(res.body.changes.itemsUsed.length, 1)
+  })
+
+  it("POST /api/simulate/day advances the date by every simulated day", async () => {
+    db.setCurrentDate("2030-01-01T00:00:00.000Z")
+    const res = await request(app).post("/api/simulate/day").send({ numOfDays: 3 })
+    assert.equal(res.body.newDate, "2030-01-04T00:00:00.000Z")
+  })
+
+  it("POST /api/simulate/day consumes the amounts of the usage profile", async () => {
+    await stowItem({ name: "Water Bag", quantity: 2, unit: "L", usageLimit: null })
+    const res = await request(app)
+      .post("/api/simulate/day")
+      .send({ numOfDays: 3, itemsToBeUsedPerDay: [{ itemId: "001", amount: 0.75 }] })
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.changes.itemsUsed.map((used) => [used.amount, used.remainingQuantity]),
+      [
+        [0.75, 1.25],
+        [0.75, 0.5],
+        [0.5, 0],
+      ],
+    )
+    assert.deepEqual(
+      res.body.changes.itemsDepletedToday.map((depleted) => depleted.itemId),
+      ["001"],
+    )
+  })
+
+  it("POST /api/simulate/day refuses an amount for items without a quantity, like POST /api/retrieve", async () => {
+    await stowItem()
+    const retrieve = await request(app).post("/api/retrieve").send({ itemId: "001", amount: 2 })
+    assert.equal(retrieve.body.success, false)
+
+    const profile = [{ name: "Food Packet", amount: 2 }]
+    const simulate = await request(app).post("/api/simulate/day").send({ numOfDays: 1, itemsToBeUsedPerDay: profile })
+    assert.equal(simulate.body.success, false)
+    assert.equal(simulate.body.message, retrieve.body.message)
+    assert.equal(db.getItem("001").remainingUses, 30)
+
+    const forecast = await request(app)
+      .post("/api/waste/forecast")
+      .send({ horizonDays: 1, itemsToBeUsedPerDay: profile })
+    assert.equal(forecast.body.success, false)
+  })
+
+  it("POST /api/simulate/day reports an item as depleted only on the day it runs out", async () => {
+    await stowItem({ usageLimit: 1 })
+    const res = await request(app)
+      .post("/api/simulate/day")
+      .send({ numOfDays: 3, itemsToBeUsedPerDay: [{ itemId: "001" }] })
+    assert.deepEqual(
+      res.body.changes.itemsDepletedToday.map((depleted) => depleted.itemId),
+      ["001"],
+    )
+  })
+
+  it("GET /api/waste/identify does not count items without a usage limit as out of uses", async () => {
+    await stowItem({ usageLimit: null })
+    const res = await request(app).get("/api/waste/identify")
+    assert.deepEqual(res.body.wasteItems, [])
+  })
+
+  it("POST /api/simulate/day requires a number of days or a target date", async () => {
+    const res = await request(app).post("/api/simulate/day").send({ numOfDays: 0 })
+    assert.equal(res.status, 400)
+    assert.deepEqual(
+      res.body.errors.map((error) => error.field),
+      ["numOfDays"],
+    )
+  })
+
+  it("POST /api/import/containers and /api/import/items load CSV files", async () => {
+    const containers = await request(app)
+      .post("/api/import/containers")
+      .attach("file", Buffer.from("ContainerID,Zone,Width,Depth,Height\ncontB,Airlock,50,50,50\n"), "containers.csv")
+    assert.equal(containers.status, 200)
+    assert.equal(containers.body.containersImported, 1)
+
+    const items = await request(app)
+      .post("/api/import/items")
+      .attach(
+        "file",
+        Buffer.from("ItemID,Name,Width,Depth,Height,Mass,Priority\n002,Oxygen Cylinder,15,15,50,30,95\n"),
+        "items.csv",
+      )
+    assert.equal(items.status, 200)
+    assert.equal(items.body.itemsImported, 1)
+    assert.ok(db.getContainer("contB"))
+    assert.ok(db.getItem("002"))
+  })
+
+  it("POST /api/import/items keeps a re-imported stowed item in its slot", async () => {
+    await stowItem()
+    const { position: slot } = db.getItem("001")
+    const csv = (width) =>
+      Buffer.from(
+        `ItemID,Name,Width,Depth,Height,Mass,Priority,HazardClass\n001,Food Packet,${width},10,20,7,80,food\n`,
+      )
+
+    const res = await request(app).post("/api/import/items").attach("file", csv(10), "items.csv")
+    assert.equal(res.body.itemsImported, 1)
+    assert.equal(db.getItem("001").containerId, "contA")
+    assert.deepEqual(db.getItem("001").position, slot)
+    assert.equal(db.getContainer("contA").findItem("001").mass, 7)
+    const integrity = await request(app).get("/api/integrity")
+    assert.equal(integrity.body.consistent, true)
+
+    // New dimensions that no longer match the slot are refused
+    const resized = await request(app).post("/api/import/items").attach("file", csv(12), "items.csv")
+    assert.equal(resized.body.itemsImported, 0)
+    assert.match(resized.body.errors[0].message, /no longer fits its slot/)
+    assert.equal(db.getItem("001").width, 10)
+  })
+
+  it("GET /api/export/arrangement returns the layout as CSV", async () => {
+    await stowItem()
+    const res = await request(app).get("/api/export/arrangement")
+    assert.equal(res.status, 200)
+    assert.match(res.headers["content-type"], /text\/csv/)
+    assert.match(res.text, /001,contA/)
+  })
+
+  it("GET /api/logs filters logs by action", async () => {
+    await stowItem()
+    const res = await request(app).get("/api/logs").query({ actionType: "placement" })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.logs.length, 1)
+  })
+
+  it("GET /api/balance reports zone masses", async () => {
+    await stowItem()
+    const res = await request(app).get("/api/balance")
+    assert.equal(res.status, 200)
+    assert.equal(res.body.success, true)
+    assert.equal(res.body.zones[0].mass, 5)
+  })
+
+  it("GET /api/balance reports centers of mass of containers, zones and the station", async () => {
+    db.addContainer(new Container({ ...container, stationCoordinates: { width: 0, depth: 0, height: 0 } }))
+    db.addContainer(
+      new Container({ ...container, containerId: "contB", stationCoordinates: { width: 200, depth: 0, height: 0 } }),
+    )
+    db.addContainer(new Container({ ...container, containerId: "contC", zone: "Storage Bay" }))
+    const stow = (itemId, containerId, mass, width) => {
+      const unit = new Item({ ...item, itemId, mass, containerId })
+      unit.position = {
+        startCoordinates: { width, depth: 0, height: 0 },
+        endCoordinates: { width: width + 10, depth: 10, height: 20 },
+      }
+      unit.orientation = "WDH"
+      db.addItem(unit)
+      const stored = db.getContainer(containerId)
+      stored.items.push({ ...unit })
+      db.updateContainer(stored)
+    }
+    stow("001", "contA", 5, 0)
+    stow("002", "contA", 15, 50)
+    stow("003", "contB", 20, 0)
+    stow("004", "contC", 10, 0)
+
+    const res = await request(app).get("/api/balance")
+    const [crewQuarters, storageBay] = res.body.zones
+    const [contA, contB] = crewQuarters.containers
+
+    // Each item's mass sits at the center of its position
+    assert.deepEqual(contA.centerOfMass, { width: 42.5, depth: 5, height: 10 })
+    assert.deepEqual(contA.stationCenterOfMass, { width: 42.5, depth: 5, height: 10 })
+    assert.deepEqual(contB.centerOfMass, { width: 5, depth: 5, height: 10 })
+    assert.deepEqual(contB.stationCenterOfMass, { width: 205, depth: 5, height: 10 })
+
+    assert.equal(crewQuarters.mass, 40)
+    assert.equal(crewQuarters.unlocatedMass, 0)
+    assert.deepEqual(crewQuarters.centerOfMass, { width: 123.75, depth: 5, height: 10 })
+
+    // contC has no station coordinates, so its mass cannot be located in the station
+    assert.equal(storageBay.mass, 10)
+    assert.equal(storageBay.unlocatedMass, 10)
+    assert.equal(storageBay.centerOfMass, null)
+    assert.deepEqual(storageBay.containers[0].centerOfMass, { width: 5, depth: 5, height: 10 })
+    assert.equal(storageBay.containers[0].stationCenterOfMass, null)
+
+    assert.deepEqual(res.body.station, {
+      mass: 50,
+      unlocatedMass: 10,
+      centerOfMass: { width: 123.75, depth: 5, height: 10 },
+    })
+  })
+
+  it("POST /api/placement steers items by zoneMassBounds", async () => {
+    const storageBay = { ...container, containerId: "contB", zone: "Storage Bay" }
+    await stowItem({ mass: 40 })
+
+    // The preferred zone would exceed its maximum, so the item goes elsewhere
+    const overMax = await request(app)
+      .post("/api/placement")
+      .send({
+        items: [{ ...item, itemId: "002" }],
+        containers: [container, storageBay],
+        zoneMassBounds: { "Crew Quarters": { max: 40 } },
+      })
+    assert.equal(overMax.body.placements[0].containerId, "contB")
+
+    // Without a preferred zone among the containers, a zone below its minimum comes first
+    const underMin = await request(app)
+      .post("/api/placement")
+      .send({
+        items: [{ ...item, itemId: "003", preferredZone: "Laboratory" }],
+        containers: [container, storageBay],
+        zoneMassBounds: { "Storage Bay": { min: 100 } },
+      })
+    assert.equal(underMin.body.placements[0].containerId, "contB")
+
+    // A maximum every zone would exceed is overruled rather than leaving the item unplaced
+    const everywhere = await request(app)
+      .post("/api/placement")
+      .send({
+        items: [{ ...item, itemId: "004" }],
+        containers: [container, storageBay],
+        zoneMassBounds: { "Crew Quarters": { max: 1 }, "Storage Bay": { max: 1 } },
+      })
+    assert.equal(everywhere.body.placements[0].containerId, "contA")
+  })
+
+  it("GET /api/compliance and /api/compliance/rules report hazard segregation", async () => {
+    const report = await request(app).get("/api/compliance")
+    assert.equal(report.status, 200)
+    assert.equal(report.body.compliant, true)
+
+    const rules = await request(app).get("/api/compliance/rules")
+    assert.equal(rules.status, 200)
+    assert.ok(rules.body.classes.includes("food"))
+  })
+
+  it("GET /api/integrity reports items their container does not list", async () => {
+    await stowItem()
+    const consistent = await request(app).get("/api/integrity")
+    assert.equal(consistent.status, 200)
+    assert.equal(consistent.body.consistent, true)
+
+    const container = db.getContainer("contA")
+    container.items = []
+    db.updateContainer(container)
+
+    const res = await request(app).get("/api/integrity")
+    assert.equal(res.body.consistent, false)
+    assert.deepEqual(
+      res.body.violations.map((violation) => violation.type),
+      ["containerMismatch"],
+    )
+  })
+
+  it("GET /api/integrity reports every kind of violation", async () => {
+    await stowItem()
+    const corner = (width) => ({
+      startCoordinates: { width, depth: 75, height: 0 },
+      endCoordinates: { width: width + 10, depth: 85, height: 20 },
+    })
+
+    // An item and a container changed after they were built so that they break an invariant
+    const overused = new Item({ ...item, itemId: "overused", usageLimit: 2 })
+    overused.remainingUses = 5
+    db.addItem(overused)
+    const shrunk = new Container({ ...container, containerId: "contB" })
+    shrunk.width = 0
+    db.addContainer(shrunk)
+    // An item in a container that does not exist, and one its container does not list
+    db.addItem(new Item({ ...item, itemId: "lost", containerId: "gone" }))
+    db.addItem(new Item({ ...item, itemId: "unlisted", containerId: "contA", position: corner(0), orientation: "WDH" }))
+    // A listed item that says it is nowhere, and a listed item that does not exist, in the same space
+    db.addItem(new Item({ ...item, itemId: "loose" }))
+    const contA = db.getContainer("contA")
+    contA.items = contA.items.map((entry) => (entry.itemId === "001" ? { ...entry, position: corner(20) } : entry))
+    contA.items.push(
+      { ...item, itemId: "loose", position: corner(80) },
+      { ...item, itemId: "ghost", position: corner(80) },
+    )
+    db.updateContainer(contA)
+
+    const res = await request(app).get("/api/integrity")
+    assert.equal(res.body.consistent, false)
+    assert.deepEqual(
+      res.body.violations.map(({ type, itemId, itemIds, containerId, field }) =>
+        [type, itemId || itemIds || containerId, field].filter(Boolean),
+      ),
+      [
+        ["invariant", "overused", "remainingUses"],
+        ["invariant", "contB", "width"],
+        ["positionMismatch", "001"],
+        ["orphanItem", "lost"],
+        ["containerMismatch", "unlisted"],
+        ["containerMismatch", "loose"],
+        ["orphanEntry", "ghost"],
+        ["overlap", ["loose", "ghost"]],
+      ],
+    )
+  })
+
+  it("POST /api/placement rejects items that break a model invariant", async () => {
+    const res = await request(app)
+      .post("/api/placement")
+      .send({ items: [{ ...item, usageLimit: 2, remainingUses: 5 }], containers: [container] })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.errors[0].field, "remainingUses")
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { inspect } from "node:util"
+import Item from "../models/item.js"
+import Container from "../models/container.js"
+import { ItemValidationError, ContainerValidationError, ModelValidationError } from "../models/errors.js"
+
+const item = { itemId: "001", name: "Food Packet", width: 10, depth: 10, height: 20, mass: 5, priority: 80 }
+
+const container = { containerId: "contA", zone: "Crew Quarters", width: 100, depth: 85, height: 200 }
+
+// A position given as [width, depth, height] start and end corners
+const at = (start, end) => ({
+  startCoordinates: { width: start[0], depth: start[1], height: start[2] },
+  endCoordinates: { width: end[0], depth: end[1], height: end[2] },
+})
+
+// Assert that building a model raises the given typed error for the given field
+function assertInvalid(build, ErrorClass, field, message) {
+  assert.throws(build, (error) => {
+    assert.ok(error instanceof ErrorClass)
+    assert.ok(error instanceof ModelValidationError)
+    assert.equal(error.field, field)
+    assert.match(error.message, message)
+    return true
+  })
+}
+
+describe("Models", () => {
+  describe("Item", () => {
+    it("accepts a valid item", () => {
+      const valid = new Item({
+        ...item,
+        usageLimit: 5,
+        quantity: 40,
+        unit: "wipes",
+        position: at([0, 0, 0], [10, 10, 20]),
+      })
+      assert.equal(valid.remainingUses, 5)
+      assert.equal(valid.remainingQuantity, 40)
+    })
+
+    for (const [overrides, field, message] of [
+      [{ itemId: undefined }, "itemId", /is required/],
+      [{ itemId: " " }, "itemId", /is required/],
+      [{ name: "" }, "name", /is required/],
+      [{ width: 0 }, "width", /greater than 0/],
+      [{ depth: Number.NaN }, "depth", /greater than 0/],
+      [{ height: "20" }, "height", /greater than 0/],
+      [{ mass: -1 }, "mass", /at least 0/],
+      [{ priority: Number.NaN }, "priority", /must be a number/],
+      [{ expiryDate: "not a date" }, "expiryDate", /valid date/],
+      [{ usageLimit: 1.5 }, "usageLimit", /integer of at least 0/],
+      [{ usageLimit: 5, remainingUses: -1 }, "remainingUses", /integer of at least 0/],
+      [{ usageLimit: 2, remainingUses: 5 }, "remainingUses", /must not exceed usageLimit \(2\)/],
+      [{ quantity: 0 }, "quantity", /greater than 0/],
+      [{ remainingQuantity: 3 }, "remainingQuantity", /requires a quantity/],
+      [{ quantity: 40, remainingQuantity: -1 }, "remainingQuantity", /at least 0/],
+      [{ quantity: 40, remainingQuantity: 41 }, "remainingQuantity", /must not exceed quantity \(40\)/],
+      [{ quantity: 40, unit: " " }, "unit", /non-empty string/],
+      [{ orientation: "XYZ" }, "orientation", /must be one of/],
+      [{ position: at([10, 0, 0], [0, 10, 20]) }, "position", /end beyond the start/],
+      [{ position: at([0, 0, 0], [10, 10, 30]) }, "position", /does not match the item's dimensions/],
+    ]) {
+      it(`rejects ${inspect(overrides, { breakLength: Infinity })}`, () => {
+        assertInvalid(() => new Item({ ...item, ...overrides }), ItemValidationError, field, message)
+      })
+    }
+
+    it("rejects a this-side-up item laid on its side", () => {
+      assertInvalid(
+        () => new Item({ ...item, thisSideUp: true, position: at([0, 0, 0], [20, 10, 10]) }),
+        ItemValidationError,
+        "position",
+        /does not match/,
+      )
+    })
+  })
+
+  describe("Container", () => {
+    it("accepts a valid container", () => {
+      const valid = new Container({
+        ...container,
+        maxLoad: 0,
+        items: [{ itemId: "001", position: at([0, 0, 0], [100, 85, 200]) }],
+      })
+      assert.equal(valid.items.length, 1)
+    })
+
+    for (const [overrides, field, message] of [
+      [{ containerId: null }, "containerId", /is required/],
+      [{ zone: "" }, "zone", /is required/],
+      [{ width: -5 }, "width", /greater than 0/],
+      [{ depth: Number.POSITIVE_INFINITY }, "depth", /greater than 0/],
+      [{ height: undefined }, "height", /greater than 0/],
+      [{ maxLoad: -1 }, "maxLoad", /at least 0/],
+      [{ maxStackLoad: Number.NaN }, "maxStackLoad", /at least 0/],
+      [{ items: {} }, "items", /must be an array/],
+      [{ items: [{ itemId: "001", position: at([95, 0, 0], [105, 10, 20]) }] }, "items", /item 001 lies outside/],
+      [{ items: [{ itemId: "001", position: null }] }, "items", /item 001 lies outside/],
+    ]) {
+      it(`rejects ${inspect(overrides, { breakLength: Infinity })}`, () => {
+        assertInvalid(() => new Container({ ...container, ...overrides }), ContainerValidationError, field, message)
+      })
+    }
+  })
+})
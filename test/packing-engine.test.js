@@ -0,0 +1,90 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import packingEngine from "../services/packing-engine.js"
+import Item from "../models/item.js"
+import Container from "../models/container.js"
+
+const container = (containerId, width, depth, height) =>
+  new Container({ containerId, zone: "Storage Bay", width, depth, height })
+
+const item = (data) => new Item({ itemId: "001", name: "Tool Kit", mass: 1, priority: 50, ...data })
+
+// Extents of a position along the container axes
+const extentsOf = ({ startCoordinates: start, endCoordinates: end }) => ({
+  width: end.width - start.width,
+  depth: end.depth - start.depth,
+  height: end.height - start.height,
+})
+
+describe("PackingEngine", () => {
+  describe("rotations", () => {
+    it("lays an item too tall for the container on its side", () => {
+      const tall = item({ width: 10, depth: 10, height: 40 })
+      const fit = packingEngine.findPosition(tall, container("low", 50, 50, 20))
+
+      assert.ok(fit)
+      assert.ok(extentsOf(fit.position).height <= 20)
+      assert.equal(fit.orientation, Item.getOrientationForPosition(tall, fit.position))
+      assert.notEqual(fit.orientation[2], "H")
+    })
+
+    it("keeps a this-side-up item upright and only turns it about the vertical axis", () => {
+      const upright = item({ width: 10, depth: 10, height: 40, thisSideUp: true })
+      assert.equal(packingEngine.findPosition(upright, container("low", 50, 50, 20)), null)
+
+      const wide = item({ width: 40, depth: 10, height: 10, thisSideUp: true })
+      const fit = packingEngine.findPosition(wide, container("narrow", 15, 50, 50))
+      assert.equal(fit.orientation, "DWH")
+      assert.deepEqual(extentsOf(fit.position), { width: 10, depth: 40, height: 10 })
+    })
+
+    it("lists each distinct set of extents once", () => {
+      assert.equal(Item.getOrientations(item({ width: 10, depth: 10, height: 10 })).length, 1)
+      assert.equal(Item.getOrientations(item({ width: 10, depth: 10, height: 20 })).length, 3)
+      assert.equal(Item.getOrientations(item({ width: 10, depth: 20, height: 30 })).length, 6)
+    })
+  })
+
+  describe("strategies", () => {
+    const cube = item({ width: 10, depth: 10, height: 10 })
+
+    it("packs from the open face or against the back wall", () => {
+      const front = packingEngine.findPosition(cube, container("contA", 100, 100, 100), "min-retrieval-depth")
+      assert.equal(front.position.startCoordinates.depth, 0)
+
+      const back = packingEngine.findPosition(cube, container("contA", 100, 100, 100), "deep-stowage")
+      assert.equal(back.position.endCoordinates.depth, 100)
+    })
+
+    it("stops at the first container with room or picks the tightest one", () => {
+      const roomy = container("roomy", 100, 100, 100)
+      const tight = container("tight", 20, 20, 20)
+
+      assert.equal(packingEngine.findPlacement(cube, [roomy, tight], "first-fit").container, roomy)
+      assert.equal(packingEngine.findPlacement(cube, [roomy, tight], "best-fit").container, tight)
+    })
+
+    it("prefers the container where the item sits closest to the open face", () => {
+      const crowded = container("crowded", 10, 100, 10)
+      crowded.items.push({
+        itemId: "front",
+        mass: 1,
+        position: {
+          startCoordinates: { width: 0, depth: 0, height: 0 },
+          endCoordinates: { width: 10, depth: 30, height: 10 },
+        },
+      })
+      const empty = container("empty", 10, 100, 10)
+
+      const fit = packingEngine.findPlacement(cube, [crowded, empty], "min-retrieval-depth")
+      assert.equal(fit.container, empty)
+      assert.equal(fit.position.startCoordinates.depth, 0)
+    })
+
+    it("falls back to first fit for an unknown strategy", () => {
+      const roomy = container("roomy", 100, 100, 100)
+      const tight = container("tight", 20, 20, 20)
+      assert.equal(packingEngine.findPlacement(cube, [roomy, tight], "no-such-strategy").container, roomy)
+    })
+  })
+})
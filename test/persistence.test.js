@@ -0,0 +1,135 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { Database } from "../services/database.js"
+import JournalStore from "../services/journal-store.js"
+import Item from "../models/item.js"
+import Container from "../models/container.js"
+import Log from "../models/log.js"
+import Undocking from "../models/undocking.js"
+
+const container = { containerId: "contA", zone: "Crew Quarters", width: 100, depth: 85, height: 200 }
+const item = { itemId: "001", name: "Food Packet", width: 10, depth: 10, height: 20, mass: 5, priority: 80 }
+
+describe("Journal persistence", () => {
+  let dir
+  let journalPath
+
+  // Open the journal the way a restarted server does
+  const open = () => new Database(new JournalStore(journalPath))
+  const readLines = () => fs.readFileSync(journalPath, "utf8").split("\n").filter(Boolean)
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"))
+    journalPath = path.join(dir, "data", "journal.jsonl")
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it("rebuilds items, containers, logs and undockings as model instances after a restart", () => {
+    const db = open()
+    db.addContainer(new Container(container))
+    db.addItem(new Item({ ...item, expiryDate: "2030-01-01" }))
+    db.addLog(Log.createRetrievalLog("astro", "001", "contA"))
+    db.addUndocking(
+      new Undocking({ undockingId: "UND-0001", undockingContainerId: "contA", undockingDate: "2030-01-01" }),
+    )
+    db.setCurrentDate("2029-06-01")
+
+    const restarted = open()
+    const restored = restarted.getItem("001")
+    assert.ok(restored instanceof Item)
+    assert.ok(restored.expiryDate instanceof Date)
+    assert.equal(restored.isWaste(restarted.getCurrentDate()), false)
+    assert.ok(restarted.getContainer("contA") instanceof Container)
+    assert.ok(restarted.getLogs()[0] instanceof Log)
+    assert.equal(restarted.getLogs()[0].userId, "astro")
+    assert.ok(restarted.getUndocking("UND-0001") instanceof Undocking)
+    assert.equal(restarted.getCurrentDate().toISOString(), new Date("2029-06-01").toISOString())
+  })
+
+  it("writes a transaction as one batch and replays it", () => {
+    const db = open()
+    db.addContainer(new Container(container))
+    db.transaction(() => {
+      db.addItem(new Item(item))
+      db.addLog(Log.createPlacementLog("astro", "001", "contA"))
+    })
+
+    const last = JSON.parse(readLines().at(-1))
+    assert.equal(last.op, "batch")
+    assert.deepEqual(
+      last.data.map((record) => record.op),
+      ["putItem", "addLog"],
+    )
+
+    const restarted = open()
+    assert.equal(restarted.getItem("001").name, "Food Packet")
+    assert.equal(restarted.getLogs().length, 1)
+  })
+
+  it("persists nothing of a transaction that throws", () => {
+    const db = open()
+    db.addContainer(new Container(container))
+    const before = readLines()
+
+    assert.throws(() =>
+      db.transaction(() => {
+        db.addItem(new Item(item))
+        throw new Error("Step failed")
+      }),
+    )
+
+    assert.equal(db.getItem("001"), undefined)
+    assert.deepEqual(readLines(), before)
+    assert.equal(open().getItem("001"), undefined)
+  })
+
+  it("skips a truncated last line", () => {
+    const db = open()
+    db.addItem(new Item(item))
+    fs.appendFileSync(journalPath, '{"op":"putItem","data":{"itemId":"002","na')
+
+    const restarted = open()
+    assert.equal(restarted.getItem("001").name, "Food Packet")
+    assert.equal(restarted.getItem("002"), undefined)
+  })
+
+  it("compacts the journal into a single snapshot on startup", () => {
+    const db = open()
+    db.addContainer(new Container(container))
+    db.addItem(new Item(item))
+    db.removeItem("001")
+    db.addItem(new Item({ ...item, itemId: "002" }))
+    assert.equal(readLines().length, 4)
+
+    open()
+    const lines = readLines()
+    assert.equal(lines.length, 1)
+    const { op, data } = JSON.parse(lines[0])
+    assert.equal(op, "snapshot")
+    assert.deepEqual(
+      data.items.map((stored) => stored.itemId),
+      ["002"],
+    )
+    assert.equal(fs.existsSync(`${journalPath}.tmp`), false)
+    assert.equal(open().getItem("002").name, "Food Packet")
+  })
+
+  it("replays a clear", () => {
+    const db = open()
+    db.addContainer(new Container(container))
+    db.addItem(new Item(item))
+    db.clear()
+    db.addItem(new Item({ ...item, itemId: "002" }))
+
+    const restarted = open()
+    assert.equal(restarted.getContainer("contA"), undefined)
+    assert.equal(restarted.getItem("001"), undefined)
+    assert.equal(restarted.getItem("002").itemId, "002")
+  })
+})
@@ -0,0 +1,184 @@
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import db from "../services/database.js"
+import retrievalPlanner from "../services/retrieval-planner.js"
+import Item from "../models/item.js"
+import Log from "../models/log.js"
+import Container from "../models/container.js"
+import retrievalService from "../services/retrieval-service.js"
+
+const item = (itemId, priority) => new Item({ itemId, name: itemId, width: 10, depth: 10, height: 10, priority })
+
+// Stow an item in a container at a position given as [width, depth, height] start and end corners
+function stowAt(container, data, start, end) {
+  const position = {
+    startCoordinates: { width: start[0], depth: start[1], height: start[2] },
+    endCoordinates: { width: end[0], depth: end[1], height: end[2] },
+  }
+  const stowed = new Item({
+    name: data.itemId,
+    width: end[0] - start[0],
+    depth: end[1] - start[1],
+    height: end[2] - start[2],
+    ...data,
+    containerId: container.containerId,
+    position,
+    orientation: "WDH",
+  })
+  db.addItem(stowed)
+  container.items.push({ ...stowed })
+  db.updateContainer(container)
+  return stowed
+}
+
+describe("RetrievalPlanner", () => {
+  beforeEach(() => {
+    db.clear()
+  })
+
+  describe("assignAccessStrategies", () => {
+    it("keeps a batch of long-term stowage at the back", () => {
+      const strategies = retrievalPlanner.assignAccessStrategies([item("a", 10), item("b", 5), item("c", 1)])
+      assert.deepEqual([...strategies.values()], ["deep-stowage", "deep-stowage", "deep-stowage"])
+    })
+
+    it("sends items in frequent demand to the front, most in-demand first", () => {
+      const strategies = retrievalPlanner.assignAccessStrategies([item("low", 1), item("high", 90), item("mid", 60)])
+      assert.deepEqual(
+        [...strategies],
+        [
+          ["high", "min-retrieval-depth"],
+          ["mid", "min-retrieval-depth"],
+          ["low", "deep-stowage"],
+        ],
+      )
+    })
+
+    it("counts logged retrievals toward demand", () => {
+      for (let i = 0; i < 8; i++) {
+        db.addLog(Log.createRetrievalLog("astro", "used", "contA"))
+      }
+      const strategies = retrievalPlanner.assignAccessStrategies([item("used", 10)])
+      assert.equal(strategies.get("used"), "min-retrieval-depth")
+    })
+  })
+
+  describe("planRetrieval", () => {
+    it("removes the blockers of a blocker before the blocker itself", () => {
+      // T at the back, B in front of it with C on top, D at the open face and E beside them all
+      const container = db.addContainer(
+        new Container({ containerId: "c", zone: "Z", width: 20, depth: 30, height: 30 }),
+      )
+      stowAt(container, { itemId: "T" }, [0, 20, 0], [10, 30, 10])
+      stowAt(container, { itemId: "B" }, [0, 10, 0], [10, 20, 10])
+      stowAt(container, { itemId: "C" }, [0, 10, 10], [10, 20, 20])
+      stowAt(container, { itemId: "D" }, [0, 0, 0], [10, 10, 10])
+      stowAt(container, { itemId: "E" }, [10, 0, 0], [20, 10, 10])
+
+      const steps = retrievalPlanner.planRetrieval("T", container)
+      assert.deepEqual(
+        steps.filter((step) => step.action === "remove").map((step) => [step.itemId, step.reason, step.blocks]),
+        [
+          ["D", "inPath", "T"],
+          ["C", "onTop", "B"],
+          ["B", "inPath", "T"],
+        ],
+      )
+      assert.equal(steps.find((step) => step.action === "retrieve").step, 7)
+      assert.equal(container.getRetrievalSteps("T"), 3)
+      assert.equal(container.getRetrievalSteps("E"), 0)
+    })
+
+    it("describes every step in the versioned schema with its estimated effort", () => {
+      // T at the back, X in front of it at the open face
+      const container = db.addContainer(
+        new Container({ containerId: "c", zone: "Z", width: 10, depth: 20, height: 10 }),
+      )
+      const t = stowAt(container, { itemId: "T", name: "Tool Kit", mass: 3 }, [0, 10, 0], [10, 20, 10])
+      const x = stowAt(container, { itemId: "X", name: "Spare Filter", mass: 2 }, [0, 0, 0], [10, 10, 10])
+
+      const steps = retrievalPlanner.planRetrieval("T", container)
+      const nowhere = { fromContainer: null, fromPosition: null, toContainer: null, toPosition: null }
+      assert.deepEqual(steps, [
+        {
+          ...nowhere,
+          step: 1,
+          action: "remove",
+          itemId: "X",
+          itemName: "Spare Filter",
+          fromContainer: "c",
+          fromPosition: x.position,
+          reason: "inPath",
+          blocks: "T",
+          estimatedEffort: 22,
+        },
+        { ...nowhere, step: 2, action: "setAside", itemId: "X", itemName: "Spare Filter", estimatedEffort: 12 },
+        {
+          ...nowhere,
+          step: 3,
+          action: "retrieve",
+          itemId: "T",
+          itemName: "Tool Kit",
+          fromContainer: "c",
+          fromPosition: t.position,
+          // Base time, 10 cm of reach and 3 kg
+          estimatedEffort: 25,
+        },
+        {
+          ...nowhere,
+          step: 4,
+          action: "placeBack",
+          itemId: "X",
+          itemName: "Spare Filter",
+          toContainer: "c",
+          toPosition: x.position,
+          moved: false,
+          estimatedEffort: 22,
+        },
+      ])
+
+      assert.equal(retrievalPlanner.getSchemaVersion(), 1)
+      const search = retrievalService.searchItem("T")
+      assert.equal(search.stepSchemaVersion, retrievalPlanner.getSchemaVersion())
+      assert.deepEqual(search.retrievalSteps, steps)
+    })
+  })
+
+  describe("planPutBack", () => {
+    it("keeps the layout when a repack would block an in-demand item", () => {
+      // R at the back left, T at the back right, X in front of T; the open face is at depth 0
+      const container = db.addContainer(
+        new Container({ containerId: "c", zone: "Z", width: 20, depth: 30, height: 10 }),
+      )
+      stowAt(container, { itemId: "R", priority: 100 }, [0, 20, 0], [10, 30, 10])
+      stowAt(container, { itemId: "T", priority: 50 }, [10, 20, 0], [20, 30, 10])
+      const x = stowAt(container, { itemId: "X", priority: 1 }, [10, 0, 0], [20, 20, 10])
+
+      const { placeBacks } = retrievalPlanner.planPutBack("T", container)
+      assert.deepEqual(
+        placeBacks.map((placeBack) => [placeBack.item.itemId, placeBack.moved]),
+        [["X", false]],
+      )
+
+      assert.equal(retrievalService.retrieveItem("T", "astro").success, true)
+      assert.deepEqual(db.getItem("X").position, x.position)
+      assert.equal(db.getContainer("c").getRetrievalSteps("R"), 0)
+    })
+
+    it("moves blockers when that makes the container easier to reach", () => {
+      // T is taken out, so X can go back into its slot and stop blocking anything
+      const container = db.addContainer(
+        new Container({ containerId: "c", zone: "Z", width: 10, depth: 30, height: 10 }),
+      )
+      stowAt(container, { itemId: "T", priority: 50 }, [0, 20, 0], [10, 30, 10])
+      stowAt(container, { itemId: "X", priority: 1 }, [0, 0, 0], [10, 10, 10])
+      stowAt(container, { itemId: "Y", priority: 90 }, [0, 10, 0], [10, 20, 10])
+
+      const { placeBacks } = retrievalPlanner.planPutBack("Y", container)
+      assert.ok(placeBacks.every((placeBack) => !placeBack.moved))
+
+      const takeOut = retrievalPlanner.planPutBack("T", container, true)
+      assert.ok(takeOut.placeBacks.some((placeBack) => placeBack.moved))
+    })
+  })
+})
@@ -0,0 +1,219 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import db from "../services/database.js"
+import placementService from "../services/placement-service.js"
+import packingEngine from "../services/packing-engine.js"
+import stowageRules from "../services/stowage-rules-service.js"
+import Item from "../models/item.js"
+import Container from "../models/container.js"
+
+const item = (itemId, data = {}) =>
+  new Item({ itemId, name: itemId, width: 10, depth: 10, height: 10, mass: 1, priority: 50, ...data })
+
+// A position given as [width, depth, height] start and end corners
+const at = (start, end) => ({
+  startCoordinates: { width: start[0], depth: start[1], height: start[2] },
+  endCoordinates: { width: end[0], depth: end[1], height: end[2] },
+})
+
+// Put an item in a container at a position without any checks
+function stow(container, stowed, position) {
+  container.items.push({ ...stowed, position })
+  return stowed
+}
+
+describe("StowageRulesService", () => {
+  beforeEach(() => {
+    db.clear()
+  })
+
+  describe("load limits", () => {
+    it("refuses an item that would exceed the container's maximum load", () => {
+      const container = new Container({
+        containerId: "contA",
+        zone: "Storage Bay",
+        width: 50,
+        depth: 50,
+        height: 50,
+        maxLoad: 10,
+      })
+      stow(container, item("heavy", { mass: 8 }), at([0, 0, 0], [10, 10, 10]))
+
+      const position = at([20, 0, 0], [30, 10, 10])
+      assert.match(
+        stowageRules.getPlacementViolation(container, item("extra", { mass: 5 }), position),
+        /maximum load of 10 kg/,
+      )
+      assert.equal(stowageRules.getPlacementViolation(container, item("light", { mass: 2 }), position), null)
+    })
+
+    it("refuses to stack more on an item than the maximum stack load", () => {
+      const container = new Container({
+        containerId: "contA",
+        zone: "Storage Bay",
+        width: 50,
+        depth: 50,
+        height: 50,
+        maxStackLoad: 5,
+      })
+      stow(container, item("base"), at([0, 0, 0], [10, 10, 10]))
+      stow(container, item("middle", { mass: 3 }), at([0, 0, 10], [10, 10, 20]))
+
+      const onTop = at([0, 0, 20], [10, 10, 30])
+      assert.match(
+        stowageRules.getPlacementViolation(container, item("top", { mass: 3 }), onTop),
+        /Item base would carry/,
+      )
+      assert.equal(stowageRules.getPlacementViolation(container, item("top", { mass: 2 }), onTop), null)
+
+      // Nor may the new item itself end up carrying too much
+      const underneath = new Container({
+        containerId: "contB",
+        zone: "Storage Bay",
+        width: 50,
+        depth: 50,
+        height: 50,
+        maxStackLoad: 5,
+      })
+      stow(underneath, item("above", { mass: 6 }), at([0, 0, 10], [10, 10, 20]))
+      assert.match(
+        stowageRules.getPlacementViolation(underneath, item("below"), at([0, 0, 0], [10, 10, 10])),
+        /Item below would carry/,
+      )
+    })
+
+    it("leaves items unplaced rather than overload a container", () => {
+      const container = new Container({
+        containerId: "contA",
+        zone: "Storage Bay",
+        width: 50,
+        depth: 50,
+        height: 50,
+        maxLoad: 10,
+      })
+      const result = placementService.findOptimalPlacement(
+        [item("first", { mass: 6 }), item("second", { mass: 6 })],
+        [container],
+        "first-fit",
+      )
+
+      assert.equal(result.success, false)
+      assert.equal(result.placements.length, 1)
+    })
+  })
+
+  describe("support rule", () => {
+    const configured = stowageRules.minSupportFraction
+
+    beforeEach(() => {
+      stowageRules.minSupportFraction = 0.6
+    })
+
+    afterEach(() => {
+      stowageRules.minSupportFraction = configured
+    })
+
+    // A 10 cm cube on the floor at the left half of a 20 cm wide container
+    const withHalfBase = () => {
+      const container = new Container({ containerId: "contA", zone: "Storage Bay", width: 20, depth: 10, height: 30 })
+      stow(container, item("base"), at([0, 0, 0], [10, 10, 10]))
+      return container
+    }
+
+    it("refuses an item resting on less than the minimum fraction of its base", () => {
+      const container = withHalfBase()
+
+      assert.match(
+        stowageRules.getPlacementViolation(container, item("top"), at([5, 0, 10], [15, 10, 20])),
+        /only 50% of its base, at least 60%/,
+      )
+      assert.equal(stowageRules.getPlacementViolation(container, item("top"), at([0, 0, 10], [10, 10, 20])), null)
+      assert.equal(stowageRules.getPlacementViolation(container, item("floor"), at([10, 0, 0], [20, 10, 10])), null)
+
+      stowageRules.minSupportFraction = 0.5
+      assert.equal(stowageRules.getPlacementViolation(container, item("top"), at([5, 0, 10], [15, 10, 20])), null)
+    })
+
+    it("leaves an item unplaced rather than let it hang over the edge", () => {
+      const container = new Container({ containerId: "contA", zone: "Storage Bay", width: 15, depth: 10, height: 30 })
+      stow(container, item("narrow", { width: 5 }), at([0, 0, 0], [5, 10, 10]))
+      const wide = item("wide", { width: 15, height: 5, thisSideUp: true })
+
+      assert.equal(packingEngine.findPosition(wide, container), null)
+
+      stowageRules.minSupportFraction = 0
+      assert.deepEqual(packingEngine.findPosition(wide, container).position, at([0, 0, 10], [15, 10, 15]))
+    })
+  })
+
+  describe("hazard segregation", () => {
+    const container = (containerId, width = 50) =>
+      new Container({ containerId, zone: "Storage Bay", width, depth: 10, height: 10 })
+
+    it("keeps classes that must be separated out of the same container", () => {
+      const shared = container("contA")
+      stow(shared, item("rations", { hazardClass: "food" }), at([0, 0, 0], [10, 10, 10]))
+
+      assert.match(
+        stowageRules.getPlacementViolation(
+          shared,
+          item("solvent", { hazardClass: "chemical" }),
+          at([40, 0, 0], [50, 10, 10]),
+        ),
+        /Item solvent \(chemical\) may not share container contA with item rations \(food\)/,
+      )
+      assert.equal(
+        stowageRules.getPlacementViolation(
+          shared,
+          item("bandage", { hazardClass: "medical" }),
+          at([40, 0, 0], [50, 10, 10]),
+        ),
+        null,
+      )
+
+      const result = placementService.findOptimalPlacement(
+        [item("rations", { hazardClass: "food", priority: 90 }), item("solvent", { hazardClass: "chemical" })],
+        [container("contA"), container("contB")],
+        "first-fit",
+      )
+      assert.deepEqual(
+        result.placements.map((placement) => [placement.itemId, placement.containerId]),
+        [
+          ["rations", "contA"],
+          ["solvent", "contB"],
+        ],
+      )
+    })
+
+    it("keeps classes that need a gap far enough apart", () => {
+      // Rations at the left wall and a spare part 30 cm to their right leave a gap between them
+      const stowed = container("contA", 100)
+      stow(stowed, item("rations", { hazardClass: "food" }), at([0, 0, 0], [10, 10, 10]))
+      stow(stowed, item("spare"), at([40, 0, 0], [50, 10, 10]))
+
+      const result = placementService.findOptimalPlacement(
+        [item("bandage", { hazardClass: "medical", priority: 90 }), item("cells", { hazardClass: "battery" })],
+        [stowed],
+        "first-fit",
+      )
+      const positions = Object.fromEntries(result.placements.map((placement) => [placement.itemId, placement.position]))
+
+      // The gap is fine for other items, but too close to the rations for the battery
+      assert.deepEqual(positions.bandage, at([10, 0, 0], [20, 10, 10]))
+      assert.deepEqual(positions.cells, at([50, 0, 0], [60, 10, 10]))
+      assert.ok(stowageRules.getDistance(at([0, 0, 0], [10, 10, 10]), positions.cells) >= 30)
+
+      // With no slot 30 cm away from the rations, the battery is left out
+      const narrow = placementService.findOptimalPlacement(
+        [item("rations", { hazardClass: "food", priority: 90 }), item("cells", { hazardClass: "battery" })],
+        [container("contA", 40)],
+        "first-fit",
+      )
+      assert.equal(narrow.success, false)
+      assert.deepEqual(
+        narrow.placements.map((placement) => placement.itemId),
+        ["rations"],
+      )
+    })
+  })
+})